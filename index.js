@@ -30,6 +30,12 @@ module.exports = {
   createLogReader: function(source, config, opts) {
     return new module.exports.LogReader(source, config, opts);
   },
+  ProcessLogReader: require('./lib/process-log-reader'),
+  spawnLogReader: function(command, args, config, opts) {
+    return new module.exports.ProcessLogReader(command, args, config, opts);
+  },
+  logSnapshot: require('./lib/log-snapshot'),
   resilience: require('./lib/resilience'),
+  testHooks: require('./lib/test-hooks'),
   chai: require('./lib/chai-plugin')
 };
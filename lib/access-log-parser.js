@@ -0,0 +1,335 @@
+/*
+
+ Copyright 2016 Telefonica Investigación y Desarrollo, S.A.U
+
+ This file is part of Tartare.
+
+ Tartare is free software: you can redistribute it and/or modify it under the
+ terms of the Apache License as published by the Apache Software Foundation,
+ either version 2.0 of the License, or (at your option) any later version.
+ Tartare is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ See the Apache License for more details.
+
+ You should have received a copy of the Apache License along with Tartare.
+ If not, see http://www.apache.org/licenses/LICENSE-2.0
+
+ For those usages not covered by the Apache License please contact with:
+ joseantonio.rodriguezfernandez@telefonica.com
+
+ */
+
+'use strict';
+
+/*
+ ACCESS-LOG-PARSER: Parser for HTTP access logs, built from an Apache LogFormat string or an nginx log_format string
+ */
+
+var PRESETS = {
+  common: '%h %l %u %t "%r" %>s %b',
+  combined: '%h %l %u %t "%r" %>s %b "%{Referer}i" "%{User-agent}i"'
+};
+
+// Field names for Apache directives. Directives measuring the same in different units (or formats) have different
+// names, so a format can include several of them
+var APACHE_DIRECTIVES = {
+  a: 'remoteAddr',
+  A: 'localAddr',
+  B: 'bodyBytes',
+  b: 'bytes',
+  D: 'durationMicros',
+  f: 'filename',
+  h: 'remoteHost',
+  H: 'protocol',
+  I: 'bytesReceived',
+  k: 'keepAliveRequests',
+  l: 'remoteLogname',
+  L: 'logId',
+  m: 'method',
+  O: 'bytesSent',
+  p: 'port',
+  P: 'pid',
+  q: 'queryString',
+  r: 'request',
+  R: 'handler',
+  s: 'status',
+  t: 'time',
+  T: 'durationSeconds',
+  u: 'remoteUser',
+  U: 'urlPath',
+  v: 'serverName',
+  V: 'serverName',
+  X: 'connectionStatus'
+};
+
+// Field names for nginx variables that are not named after the variable itself
+/* eslint-disable camelcase */
+var NGINX_VARIABLES = {
+  time_local: 'time',
+  time_iso8601: 'time',
+  body_bytes_sent: 'bytes',
+  http_referer: 'referer',
+  http_user_agent: 'userAgent'
+};
+/* eslint-enable camelcase */
+
+// Field names for the units of the Apache %T directive (such as %{ms}T)
+var APACHE_DURATION_UNITS = {
+  s: 'durationSeconds',
+  ms: 'durationMillis',
+  us: 'durationMicros'
+};
+
+// Regular expressions for the strftime directives of the Apache %{format}t directive
+var STRFTIME_PATTERNS = {
+  a: '[A-Za-z]+',
+  A: '[A-Za-z]+',
+  b: '[A-Za-z]+',
+  B: '[A-Za-z]+',
+  C: '\\d{2}',
+  d: '\\d{2}',
+  D: '\\d{2}/\\d{2}/\\d{2}',
+  e: ' ?\\d{1,2}',
+  F: '\\d{4}-\\d{2}-\\d{2}',
+  h: '[A-Za-z]+',
+  H: '\\d{2}',
+  I: '\\d{2}',
+  j: '\\d{3}',
+  k: ' ?\\d{1,2}',
+  l: ' ?\\d{1,2}',
+  m: '\\d{2}',
+  M: '\\d{2}',
+  n: '\\n',
+  p: '[AaPp][Mm]',
+  R: '\\d{2}:\\d{2}',
+  s: '\\d+',
+  S: '\\d{2}',
+  t: '\\t',
+  T: '\\d{2}:\\d{2}:\\d{2}',
+  u: '\\d',
+  w: '\\d',
+  y: '\\d{2}',
+  Y: '\\d{4}',
+  z: '[+-]\\d{4}',
+  Z: '[A-Za-z]+'
+};
+
+// Field names for the formats of the Apache %t directive that are not strftime formats, but numbers (such as
+// %{msec}t, or %{usec_frac}t to complete a strftime format)
+/* eslint-disable camelcase */
+var APACHE_TIME_UNITS = {
+  sec: 'timeSeconds',
+  msec: 'timeMillis',
+  usec: 'timeMicros',
+  msec_frac: 'timeMillisFraction',
+  usec_frac: 'timeMicrosFraction'
+};
+/* eslint-enable camelcase */
+
+var NUMERIC_FIELDS = ['bytes', 'bodyBytes', 'bytesReceived', 'bytesSent', 'durationSeconds', 'durationMillis',
+  'durationMicros', 'timeSeconds', 'timeMillis', 'timeMicros', 'keepAliveRequests', 'pid', 'port', 'status',
+  'requestLength', 'requestTime'];
+
+var REQUEST_LINE_PATTERN = /^(\S+) (\S+)(?: (\S+))?$/;
+var APACHE_DIRECTIVE_PATTERN = /^%[!\d,]*[<>]?(?:\{([^}]*)\})?([a-zA-Z%])/;
+var NGINX_VARIABLE_PATTERN = /^\$(?:\{(\w+)\}|(\w+))/;
+
+/**
+ * Convert a header or variable name (such as 'User-agent' or 'x_forwarded_for') to camel case.
+ * @param {string} name
+ * @return {string}
+ */
+function _toCamelCase(name) {
+  return name.toLowerCase().replace(/[-_]+(.)/g, function(match, chr) {
+    return chr.toUpperCase();
+  });
+}
+
+/**
+ * Escape a string to be used literally in a regular expression.
+ * @param {string} str
+ * @return {string}
+ */
+function _escapeRegExp(str) {
+  return str.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+/**
+ * Get the field name for an Apache directive.
+ * @param {string} directive - Directive letter.
+ * @param {string} [arg] - Directive argument (the text between braces), if any.
+ * @return {?string} The field name, or null if the directive is not a field (such as '%%').
+ */
+function _getApacheFieldName(directive, arg) {
+  if (directive === '%') {
+    return null;
+  }
+  if (arg !== undefined) {
+    switch (directive) {
+      case 'i':
+      case 'o':
+      case 'e':
+      case 'n':
+      case 'C':
+        return _toCamelCase(arg);
+      case 'T':
+        return APACHE_DURATION_UNITS[arg] || APACHE_DIRECTIVES.T;
+      case 't':
+        return APACHE_TIME_UNITS[arg.replace(/^(?:begin|end):/, '')] || APACHE_DIRECTIVES.t;
+      default:
+        break;  // Arguments of other directives (such as time formats) do not change the field name
+    }
+  }
+  return APACHE_DIRECTIVES[directive] || directive;
+}
+
+/**
+ * Get the regular expression (with a capturing group) of the time written by the Apache %t directive.
+ * @param {string} [format] - Argument of the directive (such as '%Y-%m-%d' in %{%Y-%m-%d}t), if any.
+ * @return {string}
+ */
+function _getApacheTimePattern(format) {
+  if (format === undefined) {
+    // The default format (CLF) includes the brackets
+    return '\\[([^\\]]*)\\]';
+  }
+  format = format.replace(/^(?:begin|end):/, '');
+  if (APACHE_TIME_UNITS.hasOwnProperty(format)) {
+    return '(\\d+)';
+  }
+  var source = '';
+  for (var i = 0; i < format.length; i++) {
+    var chr = format.charAt(i);
+    if (chr === '%' && format.charAt(i + 1) === '%') {
+      source += '%';
+      i++;
+    } else if (chr === '%' && i + 1 < format.length) {
+      var directive = format.charAt(++i);
+      // Directives not listed (such as %c) depend on the locale, so they match anything
+      source += STRFTIME_PATTERNS.hasOwnProperty(directive) ? STRFTIME_PATTERNS[directive] : '.*?';
+    } else {
+      source += _escapeRegExp(chr);
+    }
+  }
+  return '(' + source + ')';
+}
+
+/**
+ * Compile an Apache LogFormat string or an nginx log_format string (which is detected because it contains
+ * variables starting with '$') into a parser.
+ * @param {string} format - A format string, or the name of a preset ('common' or 'combined').
+ * @return {Object} An object with the regular expression ('pattern'), the names of its capturing
+ *   groups ('fieldNames') and the names of the fields whose values are quoted ('quotedFieldNames').
+ */
+var compile = function compile(format) {
+  format = PRESETS[format] || format;
+  if (typeof format !== 'string' || format === '') {
+    throw new Error('Non supported access log format');
+  }
+
+  var isNginx = /\$\{?\w/.test(format);
+  var tokens = [];  // Either {literal: String} or {fieldName: String}
+  var pos = 0;
+  while (pos < format.length) {
+    var rest = format.slice(pos);
+    var match;
+    if (!isNginx && (match = rest.match(APACHE_DIRECTIVE_PATTERN))) {
+      var fieldName = _getApacheFieldName(match[2], match[1]);
+      tokens.push(fieldName ? {fieldName: fieldName, directive: match[2], arg: match[1]} : {literal: '%'});
+      pos += match[0].length;
+    } else if (isNginx && (match = rest.match(NGINX_VARIABLE_PATTERN))) {
+      var variable = match[1] || match[2];
+      tokens.push({fieldName: NGINX_VARIABLES[variable] || _toCamelCase(variable)});
+      pos += match[0].length;
+    } else {
+      tokens.push({literal: format.charAt(pos)});
+      pos++;
+    }
+  }
+
+  var source = '';
+  var fieldNames = [];
+  var quotedFieldNames = [];
+  tokens.forEach(function(token, index) {
+    if (token.literal !== undefined) {
+      source += _escapeRegExp(token.literal);
+      return;
+    }
+    var prevToken = tokens[index - 1];
+    var nextToken = tokens[index + 1];
+    fieldNames.push(token.fieldName);
+    if (prevToken && prevToken.literal === '"' && nextToken && nextToken.literal === '"') {
+      quotedFieldNames.push(token.fieldName);
+    }
+    if (token.directive === 't') {
+      source += _getApacheTimePattern(token.arg);
+    } else if (!nextToken) {
+      source += '(.*)';
+    } else if (nextToken.literal === '"') {
+      // Quoted values can include escaped quotes
+      source += '((?:[^"\\\\]|\\\\.)*)';
+    } else if (nextToken.literal === undefined) {
+      source += '(\\S*)';
+    } else {
+      source += '([^' + _escapeRegExp(nextToken.literal) + ']*)';
+    }
+  });
+
+  return {
+    pattern: new RegExp('^' + source + '$'),
+    fieldNames: fieldNames,
+    quotedFieldNames: quotedFieldNames
+  };
+};
+
+/**
+ * Parse an access log entry. Fields whose value is '-' are not included, except for the number of bytes ('bytes',
+ * as written by the Apache %b directive), which is 0. Numeric fields (such as 'status' or 'bytes') are converted
+ * to numbers, and the request line ('request') is split into 'method', 'path' and 'protocol'.
+ * @param {string} logEntry
+ * @param {Object} parser - Object returned by the compile function.
+ * @return {Object}
+ */
+var parse = function parse(logEntry, parser) {
+  var match = logEntry.match(parser.pattern);
+  if (!match) {
+    var err = new Error('Log does not match the access log format');
+    err.logEntry = logEntry;
+    throw err;
+  }
+
+  var log = {};
+  parser.fieldNames.forEach(function(fieldName, index) {
+    var value = match[index + 1];
+    if (value === '-' || value === '') {
+      if (fieldName === 'bytes') {
+        log.bytes = 0;
+      }
+      return;
+    }
+    if (parser.quotedFieldNames.indexOf(fieldName) !== -1) {
+      value = value.replace(/\\(.)/g, '$1');
+    }
+    if (NUMERIC_FIELDS.indexOf(fieldName) !== -1 && !isNaN(Number(value))) {
+      value = Number(value);
+    }
+    log[fieldName] = value;
+    if (fieldName === 'request') {
+      var requestLine = value.match(REQUEST_LINE_PATTERN);
+      if (requestLine) {
+        log.method = requestLine[1];
+        log.path = requestLine[2];
+        if (requestLine[3]) {
+          log.protocol = requestLine[3];
+        }
+      }
+    }
+  });
+  return log;
+};
+
+module.exports = {
+  PRESETS: PRESETS,
+  compile: compile,
+  parse: parse
+};
@@ -21,9 +21,179 @@
 
 'use strict';
 
+var os = require('os');
+var util = require('util');
+var templateMatcher = require('./log-template');
+
+/**
+ * Stringify a value to be included in an assertion message, showing regular expressions and nested objects.
+ * @param {*} value
+ * @return {string}
+ */
+function _inspect(value) {
+  return util.inspect(value, {depth: null});
+}
+
+/**
+ * Describe how long an assertion has looked for logs, to be included in assertion messages.
+ * @param {Object} waitOpts - Options of the wait.
+ * @return {string}
+ */
+function _describeWaitTime(waitOpts) {
+  if (waitOpts.within !== undefined) {
+    return ' within ' + waitOpts.within + ' ms after ' +
+        ((typeof waitOpts.after === 'string') ? 'the mark "' + waitOpts.after + '"' : 'the given mark or log');
+  }
+  return waitOpts.between ? ' between the given marks' : ' after waiting ' + waitOpts.timeout + ' ms';
+}
+
 module.exports = function(chai) {
   var Assertion = chai.Assertion;
+  var flag = chai.util.flag;
+
+  /**
+   * Make an assertion thenable, so it can be returned to test frameworks supporting promises (such as Mocha
+   * or Tartare) or awaited.
+   * @param {Assertion} assertion
+   * @param {Promise} promise
+   * @return {Assertion}
+   */
+  function _makeThenable(assertion, promise) {
+    assertion.then = promise.then.bind(promise);
+    assertion.catch = promise.catch.bind(promise);
+    return assertion;
+  }
+
+  /**
+   * Check whether an object is a LogReader (or behaves like one).
+   * @param {*} obj
+   * @return {boolean}
+   */
+  function _isLogReader(obj) {
+    return Boolean(obj) && obj.waitForLogToExist instanceof Function;
+  }
+
+  var eventuallyGetter = null;
+
+  /**
+   * Make 'eventually' just a language chain for LogReaders, whereas chai-as-promised (if it is used) keeps handling
+   * it for promises. It does nothing if it has already been done.
+   */
+  function _overrideEventually() {
+    var descriptor = Object.getOwnPropertyDescriptor(Assertion.prototype, 'eventually');
+    if (descriptor && descriptor.get === eventuallyGetter) {
+      return;
+    }
+    if (descriptor) {
+      Assertion.overwriteProperty('eventually', function(_super) {
+        return function() {
+          if (!_isLogReader(this._obj)) {
+            return _super.call(this);
+          }
+        };
+      });
+    } else {
+      Assertion.addProperty('eventually', function() {});
+    }
+    eventuallyGetter = Object.getOwnPropertyDescriptor(Assertion.prototype, 'eventually').get;
+  }
+
+  _overrideEventually();
+  // Plugins used afterwards (such as chai-as-promised) can define 'eventually' again, so override it after using them
+  var use = chai.use;
+  chai.use = function() {
+    var result = use.apply(this, arguments);
+    _overrideEventually();
+    return result;
+  };
+
+  /*
+   Assert that a LogReader has or will have a log matching the given template before the given time expires:
+     return expect(logReader).to.eventually.haveLog(template, {within: 500});
+   Negated, assert that no log matching the template is found during the given time (failing as soon as it arrives):
+     return expect(logReader).to.eventually.not.haveLog(template, {within: 500});
+   The assertion is asynchronous, so it returns a thenable object (resolved with the found log, if any).
+   */
+  Assertion.addMethod('haveLog', function assertHaveLog(logTemplate, opts) {
+    var assertion = this;
+    var logReader = assertion._obj;
+    var negate = flag(assertion, 'negate');
+    opts = opts || {};
+    var waitOpts = {
+      timeout: opts.within || opts.timeout || 3000,
+      strict: opts.strict,
+      since: opts.since,
+      between: opts.between,
+      after: opts.after,
+      within: (opts.after === undefined) ? undefined : opts.within
+    };
+
+    if (!_isLogReader(logReader)) {
+      throw new TypeError('haveLog must be used with a LogReader');
+    }
+
+    var promise;
+    if (negate) {
+      promise = logReader.waitForLogNotToExist(logTemplate, {
+        during: waitOpts.timeout,
+        since: waitOpts.since,
+        between: waitOpts.between,
+        after: waitOpts.after,
+        within: waitOpts.within
+      }).catch(function(err) {
+        if (!err.log) {
+          throw err;  // Not a log-found error (such as a parse error)
+        }
+        throw new chai.AssertionError(
+            'Expected no log matching ' + _inspect(logTemplate) + ', but the following log has been found:' +
+            os.EOL + _inspect(err.log),
+            {expected: logTemplate, actual: err.log});
+      });
+    } else {
+      promise = logReader.waitForLogToExist(logTemplate, waitOpts).catch(function(err) {
+        if (!err.logs) {
+          throw err;  // Not a log-not-found error (such as a parse error or an unexpected log in strict mode)
+        }
+        throw new chai.AssertionError(
+            'Expected a log matching ' + _inspect(logTemplate) + ', but none has been found' +
+            _describeWaitTime(waitOpts) +
+            (err.closestLogs.length ? '. Closest logs:' + os.EOL +
+                templateMatcher.describeClosest(err.closestLogs, logTemplate) : '') +
+            os.EOL + 'Captured logs:' + os.EOL + _inspect(err.logs.slice(0)),
+            {expected: logTemplate, actual: err.logs.slice(0)});
+      });
+    }
+    return _makeThenable(assertion, promise);
+  });
+
+  /*
+   Assert that a LogReader has recorded no violations, that is, no forbidden logs (see LogReader.forbid) have been
+   received (optionally, since a mark or between two marks):
+     expect(logReader).not.to.haveViolations({since: 'scenario'});
+   Not negated, assert that some violation has been recorded.
+   */
+  Assertion.addMethod('haveViolations', function assertHaveViolations(opts) {
+    var logReader = this._obj;
+    if (!_isLogReader(logReader)) {
+      throw new TypeError('haveViolations must be used with a LogReader');
+    }
+
+    var violations = logReader.getViolations(opts);
+    this.assert(
+        violations.length > 0,
+        'Expected some forbidden log to have been found, but none has been found',
+        'Expected no forbidden logs, but the following ones have been found:' + violations.map(function(violation) {
+          return os.EOL + _inspect(violation.log) + ' (forbidden by ' + _inspect(violation.template) + ')';
+        }).join(''),
+        [],
+        violations.map(function(violation) {
+          return violation.log;
+        }));
+  });
 
+  /*
+   Deprecated: use haveLog instead, since this assertion does not wait for logs (waitForLogToExist is asynchronous).
+   */
   Assertion.addMethod('throwLogNotFoundError', function assertThrowLogNotFoundError(logTemplate, opts) {
     var waitForLogToExistFn = this._obj;
     var foundLog = null;
@@ -0,0 +1,262 @@
+/*
+
+ Copyright 2016 Telefonica Investigación y Desarrollo, S.A.U
+
+ This file is part of Tartare.
+
+ Tartare is free software: you can redistribute it and/or modify it under the
+ terms of the Apache License as published by the Apache Software Foundation,
+ either version 2.0 of the License, or (at your option) any later version.
+ Tartare is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ See the Apache License for more details.
+
+ You should have received a copy of the Apache License along with Tartare.
+ If not, see http://www.apache.org/licenses/LICENSE-2.0
+
+ For those usages not covered by the Apache License please contact with:
+ joseantonio.rodriguezfernandez@telefonica.com
+
+ */
+
+'use strict';
+
+/*
+ FIELD-TYPES: Conversion of parsed log fields to typed values (numbers, booleans, dates, etc.)
+ */
+
+var MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+var TRUE_VALUES = ['true', 'yes', 'on', '1'];
+var FALSE_VALUES = ['false', 'no', 'off', '0'];
+
+// Regular expressions (and the date part they set) for each supported strftime directive
+var STRFTIME_DIRECTIVES = {
+  Y: {pattern: '(\\d{4})', part: 'year'},
+  y: {pattern: '(\\d{2})', part: 'shortYear'},
+  m: {pattern: '(\\d{1,2})', part: 'month'},
+  d: {pattern: '(\\d{1,2})', part: 'day'},
+  e: {pattern: ' ?(\\d{1,2})', part: 'day'},
+  H: {pattern: '(\\d{1,2})', part: 'hours'},
+  I: {pattern: '(\\d{1,2})', part: 'hours12'},
+  M: {pattern: '(\\d{2})', part: 'minutes'},
+  S: {pattern: '(\\d{2})', part: 'seconds'},
+  L: {pattern: '(\\d{3})', part: 'milliseconds'},
+  f: {pattern: '(\\d{1,9})', part: 'fraction'},
+  b: {pattern: '([A-Za-z]{3})', part: 'monthName'},
+  B: {pattern: '([A-Za-z]+)', part: 'monthName'},
+  a: {pattern: '[A-Za-z]{3}'},
+  A: {pattern: '[A-Za-z]+'},
+  p: {pattern: '([AaPp][Mm])', part: 'meridian'},
+  z: {pattern: '(Z|[+-]\\d{2}:?\\d{2})', part: 'offset'},
+  s: {pattern: '(\\d+)', part: 'epoch'}
+};
+
+function _fail(type, value) {
+  var err = new Error('Value cannot be converted to ' + type);
+  err.value = value;
+  throw err;
+}
+
+/**
+ * Escape a string to be used literally in a regular expression.
+ * @param {string} str
+ * @return {string}
+ */
+function _escapeRegExp(str) {
+  return str.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+/**
+ * Build a function that parses dates following a strftime-like format, such as '%d/%b/%Y:%H:%M:%S %z'.
+ * Dates without a time zone offset (%z) are considered to be in local time.
+ * @param {string} format
+ * @return {Function}
+ */
+function _compileDateFormat(format) {
+  var source = '';
+  var parts = [];
+  for (var i = 0; i < format.length; i++) {
+    var chr = format.charAt(i);
+    if (chr === '%' && format.charAt(i + 1) === '%') {
+      source += '%';
+      i++;
+    } else if (chr === '%' && i + 1 < format.length) {
+      var directive = STRFTIME_DIRECTIVES[format.charAt(++i)];
+      if (!directive) {
+        throw new Error('Non supported date format directive: %' + format.charAt(i));
+      }
+      source += directive.pattern;
+      if (directive.part) {
+        parts.push(directive.part);
+      }
+    } else {
+      source += _escapeRegExp(chr);
+    }
+  }
+  var pattern = new RegExp('^' + source + '$');
+
+  return function parseDate(value) {
+    var match = String(value).match(pattern);
+    if (!match) {
+      _fail('date', value);
+    }
+    var date = {year: 1970, month: 1, day: 1, hours: 0, minutes: 0, seconds: 0, milliseconds: 0};
+    parts.forEach(function(part, index) {
+      var partValue = match[index + 1];
+      switch (part) {
+        case 'shortYear':
+          date.year = 2000 + parseInt(partValue, 10);
+          break;
+        case 'hours12':
+          date.hours = parseInt(partValue, 10) % 12;
+          break;
+        case 'meridian':
+          date.pm = (partValue.toLowerCase() === 'pm');
+          break;
+        case 'monthName':
+          date.month = MONTH_NAMES.indexOf(partValue.slice(0, 3).toLowerCase()) + 1;
+          if (date.month === 0) {
+            _fail('date', value);
+          }
+          break;
+        case 'fraction':
+          date.milliseconds = parseInt((partValue + '00').slice(0, 3), 10);
+          break;
+        case 'offset':
+          date.offset = (partValue === 'Z') ? 0 :
+              (partValue.charAt(0) === '-' ? -1 : 1) *
+              (parseInt(partValue.substr(1, 2), 10) * 60 + parseInt(partValue.slice(-2), 10));
+          break;
+        default:
+          date[part] = parseInt(partValue, 10);
+      }
+    });
+    if (date.epoch !== undefined) {
+      return new Date(date.epoch * 1000);
+    }
+    if (date.pm) {
+      date.hours += 12;
+    }
+
+    var result;
+    if (date.offset === undefined) {
+      result = new Date(date.year, date.month - 1, date.day, date.hours, date.minutes, date.seconds,
+          date.milliseconds);
+    } else {
+      result = new Date(Date.UTC(date.year, date.month - 1, date.day, date.hours, date.minutes, date.seconds,
+          date.milliseconds) - date.offset * 60000);
+    }
+    if (isNaN(result.getTime())) {
+      _fail('date', value);
+    }
+    return result;
+  };
+}
+
+var CONVERTERS = {
+  string: function(value) {
+    return String(value);
+  },
+  number: function(value) {
+    var number = (typeof value === 'number') ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || isNaN(number)) {
+      _fail('number', value);
+    }
+    return number;
+  },
+  integer: function(value) {
+    if (!/^\s*[-+]?\d+\s*$/.test(String(value))) {
+      _fail('integer', value);
+    }
+    return parseInt(value, 10);
+  },
+  boolean: function(value) {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    var str = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.indexOf(str) !== -1) {
+      return true;
+    }
+    if (FALSE_VALUES.indexOf(str) !== -1) {
+      return false;
+    }
+    _fail('boolean', value);
+  },
+  date: function(value) {
+    if (value instanceof Date) {
+      return value;
+    }
+    var date = new Date((typeof value === 'number') ? value : String(value));
+    if (isNaN(date.getTime())) {
+      _fail('date', value);
+    }
+    return date;
+  },
+  json: function(value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      _fail('json', value);
+    }
+  }
+};
+
+/**
+ * Build the converters for the fields of a log.
+ * @param {Object} types - Object whose keys are field names and whose values are the type of each field: the name
+ *   of a type ('string', 'number', 'integer', 'boolean', 'date' or 'json'), an object with a 'type' property
+ *   with the name of the type and, for dates, a 'format' property with a strftime-like format, or a function
+ *   that receives the value and returns the converted one (throwing an error if it cannot be converted).
+ * @return {Object} Object whose keys are field names and whose values are the converter functions.
+ */
+var compile = function compile(types) {
+  var converters = {};
+  Object.keys(types || {}).forEach(function(fieldName) {
+    var type = types[fieldName];
+    if (type instanceof Function) {
+      converters[fieldName] = type;
+      return;
+    }
+    var typeName = (typeof type === 'string') ? type : type && type.type;
+    if (typeName === 'date' && type.format) {
+      converters[fieldName] = _compileDateFormat(type.format);
+    } else if (CONVERTERS.hasOwnProperty(typeName)) {
+      converters[fieldName] = CONVERTERS[typeName];
+    } else {
+      throw new Error('Non supported type for field "' + fieldName + '"');
+    }
+  });
+  return converters;
+};
+
+/**
+ * Convert the fields of a log (fields not present in the log are ignored).
+ * @param {Object} log
+ * @param {Object} converters - Object returned by the compile function.
+ * @return {Object} The same log, with its fields converted.
+ */
+var convert = function convert(log, converters) {
+  Object.keys(converters).forEach(function(fieldName) {
+    if (!(log instanceof Object) || !log.hasOwnProperty(fieldName)) {
+      return;
+    }
+    try {
+      log[fieldName] = converters[fieldName](log[fieldName]);
+    } catch (err_) {
+      var err = new Error('Field "' + fieldName + '" cannot be converted: ' + err_.message);
+      err.field = fieldName;
+      err.value = log[fieldName];
+      throw err;
+    }
+  });
+  return log;
+};
+
+module.exports = {
+  compile: compile,
+  convert: convert
+};
@@ -0,0 +1,173 @@
+/*
+
+ Copyright 2016 Telefonica Investigación y Desarrollo, S.A.U
+
+ This file is part of Tartare.
+
+ Tartare is free software: you can redistribute it and/or modify it under the
+ terms of the Apache License as published by the Apache Software Foundation,
+ either version 2.0 of the License, or (at your option) any later version.
+ Tartare is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ See the Apache License for more details.
+
+ You should have received a copy of the Apache License along with Tartare.
+ If not, see http://www.apache.org/licenses/LICENSE-2.0
+
+ For those usages not covered by the Apache License please contact with:
+ joseantonio.rodriguezfernandez@telefonica.com
+
+ */
+
+'use strict';
+
+/*
+ KV-PARSER: Parser for logs made up of key/value pairs, such as logfmt (key=value key2="quoted value")
+ or pipe separated fields (key=value | key2=value with spaces)
+ */
+
+var DEFAULTS = {
+  fieldSeparator: null,  // Any sequence of whitespaces
+  pairSeparator: '=',
+  quote: '"',
+  escape: '\\'
+};
+
+/**
+ * Get the options to parse key/value logs, filling in the default values.
+ * @param {Object} config - Object that can include the following properties:
+ *          - fieldSeparator: String that separates fields (defaults to any sequence of whitespaces).
+ *          - pairSeparator: String that separates each key from its value (defaults to '=').
+ *          - quote: Character used to quote values (defaults to '"'). Set it to null to disable quoting.
+ *          - escape: Character used to escape the next character, so quotes and separators can be included
+ *              in values (defaults to '\'). Set it to null to disable escaping.
+ * @return {Object}
+ */
+var getOptions = function getOptions(config) {
+  var opts = {};
+  Object.keys(DEFAULTS).forEach(function(optName) {
+    opts[optName] = (config[optName] === undefined) ? DEFAULTS[optName] : config[optName];
+  });
+  if (opts.fieldSeparator === '' || !opts.pairSeparator) {
+    throw new Error('Field and pair separators cannot be empty');
+  }
+  return opts;
+};
+
+/**
+ * Parse a log entry made up of key/value pairs. Fields can be in any order. Values can be quoted, in which case
+ * they can include separators, and any character preceded by the escape character is taken literally.
+ * Unquoted values are trimmed when the field separator is not the default one. Keys without a value (such as
+ * 'debug' in 'level=info debug msg=x', as logfmt allows) are flags, whose value is true.
+ * @param {string} logEntry
+ * @param {Object} opts - Options returned by getOptions.
+ * @return {Object} An object with a property for each key/value pair (or key without a value).
+ */
+var parse = function parse(logEntry, opts) {
+  var log = {};
+  var pos = 0;
+
+  function _fail(reason) {
+    var err = new Error('Log is not a list of key/value pairs');
+    err.logEntry = logEntry;
+    err.reason = reason + ' (at position ' + pos + ')';
+    throw err;
+  }
+
+  function _isAt(str) {
+    return str !== null && logEntry.substr(pos, str.length) === str;
+  }
+
+  function _isAtFieldSeparator() {
+    if (opts.fieldSeparator === null) {
+      return /\s/.test(logEntry.charAt(pos));
+    }
+    return _isAt(opts.fieldSeparator);
+  }
+
+  function _skipWhitespaces() {
+    while (pos < logEntry.length && /\s/.test(logEntry.charAt(pos))) {
+      pos++;
+    }
+  }
+
+  // Read until a separator is found, unescaping characters
+  function _readUntil(isAtSeparator) {
+    var str = '';
+    while (pos < logEntry.length && !isAtSeparator()) {
+      if (_isAt(opts.escape) && pos + 1 < logEntry.length) {
+        pos++;
+      }
+      str += logEntry.charAt(pos++);
+    }
+    return str;
+  }
+
+  function _readQuotedValue() {
+    var value = '';
+    pos++;  // Skip the opening quote
+    while (!_isAt(opts.quote)) {
+      if (pos >= logEntry.length) {
+        _fail('Unterminated quoted value');
+      }
+      if (_isAt(opts.escape) && pos + 1 < logEntry.length) {
+        pos++;
+      }
+      value += logEntry.charAt(pos++);
+    }
+    pos++;  // Skip the closing quote
+    if (opts.fieldSeparator !== null) {
+      _skipWhitespaces();
+    }
+    if (pos < logEntry.length && !_isAtFieldSeparator()) {
+      _fail('Unexpected characters after a quoted value');
+    }
+    return value;
+  }
+
+  _skipWhitespaces();
+  while (pos < logEntry.length) {
+    var key = _readUntil(function() {
+      return _isAt(opts.pairSeparator) || _isAtFieldSeparator();
+    }).trim();
+    if (key === '') {
+      _fail('Empty key');
+    }
+    if (!_isAt(opts.pairSeparator)) {
+      // A key without a value
+      log[key] = true;
+      if (opts.fieldSeparator !== null && _isAt(opts.fieldSeparator)) {
+        pos += opts.fieldSeparator.length;
+      }
+      _skipWhitespaces();
+      continue;
+    }
+    pos += opts.pairSeparator.length;
+
+    var value;
+    if (opts.fieldSeparator !== null) {
+      _skipWhitespaces();
+    }
+    if (_isAt(opts.quote)) {
+      value = _readQuotedValue();
+    } else {
+      value = _readUntil(_isAtFieldSeparator);
+      if (opts.fieldSeparator !== null) {
+        value = value.trim();
+      }
+    }
+    log[key] = value;
+
+    if (opts.fieldSeparator !== null && _isAt(opts.fieldSeparator)) {
+      pos += opts.fieldSeparator.length;
+    }
+    _skipWhitespaces();
+  }
+
+  return log;
+};
+
+module.exports = {
+  getOptions: getOptions,
+  parse: parse
+};
@@ -0,0 +1,179 @@
+/*
+
+ Copyright 2016 Telefonica Investigación y Desarrollo, S.A.U
+
+ This file is part of Tartare.
+
+ Tartare is free software: you can redistribute it and/or modify it under the
+ terms of the Apache License as published by the Apache Software Foundation,
+ either version 2.0 of the License, or (at your option) any later version.
+ Tartare is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ See the Apache License for more details.
+
+ You should have received a copy of the Apache License along with Tartare.
+ If not, see http://www.apache.org/licenses/LICENSE-2.0
+
+ For those usages not covered by the Apache License please contact with:
+ joseantonio.rodriguezfernandez@telefonica.com
+
+ */
+
+'use strict';
+
+var os = require('os');
+var path = require('path');
+var util = require('util');
+
+/*
+ LOG-DUMP: Formatting of the logs and parse errors captured by a LogReader, to be saved as test artifacts
+ */
+
+var FORMATS = ['jsonl', 'text', 'html'];
+
+/**
+ * Get the format of a dump given the path of the file it will be written to.
+ * @param {string} file
+ * @return {string} 'jsonl' for .jsonl and .json files, 'html' for .html and .htm files, and 'text' otherwise.
+ */
+var getFormat = function getFormat(file) {
+  switch (path.extname(file).toLowerCase()) {
+    case '.jsonl':
+    case '.json':
+      return 'jsonl';
+    case '.html':
+    case '.htm':
+      return 'html';
+    default:
+      return 'text';
+  }
+};
+
+/**
+ * Get the details of a parse error that can be serialized.
+ * @param {Error} err
+ * @return {Object}
+ */
+function _describeError(err) {
+  return {error: err.message, details: err.details};
+}
+
+function _formatJsonLines(logs, errors) {
+  return logs.map(function(log) {
+    return JSON.stringify(log);
+  }).concat(errors.map(function(err) {
+    return JSON.stringify(_describeError(err));
+  })).map(function(line) {
+    return line + os.EOL;
+  }).join('');
+}
+
+function _formatText(logs, errors, getLogEntry) {
+  var inspectOpts = {depth: null, breakLength: Infinity};
+  return logs.map(function(log) {
+    var logEntry = getLogEntry(log);
+    return (logEntry === undefined) ? util.inspect(log, inspectOpts) : logEntry;
+  }).concat(errors.map(function(err) {
+    return 'ERROR ' + err.message + ' ' + util.inspect(err.details, inspectOpts);
+  })).map(function(line) {
+    return line + os.EOL;
+  }).join('');
+}
+
+function _escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a value to be shown in a cell of an HTML table.
+ * @param {*} value
+ * @return {string}
+ */
+function _formatCell(value) {
+  if (value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return _escapeHtml(value);
+  }
+  return _escapeHtml((value instanceof Date) ? value.toISOString() : JSON.stringify(value));
+}
+
+function _formatHtmlTable(rows) {
+  var fields = [];
+  rows.forEach(function(row) {
+    Object.keys(row).forEach(function(field) {
+      if (fields.indexOf(field) === -1) {
+        fields.push(field);
+      }
+    });
+  });
+  return '<table>' + os.EOL +
+      '<tr><th>#</th>' + fields.map(function(field) {
+        return '<th>' + _escapeHtml(field) + '</th>';
+      }).join('') + '</tr>' + os.EOL +
+      rows.map(function(row, index) {
+        return '<tr><td>' + (index + 1) + '</td>' + fields.map(function(field) {
+          return '<td>' + _formatCell(row[field]) + '</td>';
+        }).join('') + '</tr>' + os.EOL;
+      }).join('') +
+      '</table>' + os.EOL;
+}
+
+function _formatHtml(logs, errors, title) {
+  var logRows = logs.map(function(log) {
+    return (log instanceof Object) ? log : {log: log};
+  });
+  return '<!DOCTYPE html>' + os.EOL +
+      '<html>' + os.EOL +
+      '<head>' + os.EOL +
+      '<meta charset="utf-8">' + os.EOL +
+      '<title>' + _escapeHtml(title) + '</title>' + os.EOL +
+      '<style>' +
+      'body{font-family:sans-serif}table{border-collapse:collapse}' +
+      'th,td{border:1px solid #ccc;padding:2px 6px;font-family:monospace;text-align:left;vertical-align:top}' +
+      'th{background:#eee}' +
+      '</style>' + os.EOL +
+      '</head>' + os.EOL +
+      '<body>' + os.EOL +
+      '<h1>' + _escapeHtml(title) + '</h1>' + os.EOL +
+      '<h2>Logs (' + logs.length + ')</h2>' + os.EOL +
+      _formatHtmlTable(logRows) +
+      (errors.length ? '<h2>Parse errors (' + errors.length + ')</h2>' + os.EOL +
+          _formatHtmlTable(errors.map(_describeError)) : '') +
+      '</body>' + os.EOL +
+      '</html>' + os.EOL;
+}
+
+/**
+ * Format the logs and the parse errors captured by a LogReader.
+ * @param {Object[]} logs
+ * @param {Error[]} errors - Errors emitted by the LogWatcher.
+ * @param {string} dumpFormat - Either 'jsonl' (a JSON document per line, being the parse errors objects with the
+ *   'error' message and its 'details'), 'text' (the raw log entries the logs come from, as read from the log file or
+ *   stream, followed by the parse errors) or 'html' (a page with a table of logs, whose columns are the log fields,
+ *   and a table of parse errors).
+ * @param {Object} [opts] - Supported values:
+ *          - title: Title of the HTML page.
+ *          - getLogEntry: Function that receives a log and returns the log entry it comes from, or undefined if it
+ *              is unknown (then, the text format shows the inspected log instead).
+ * @return {string}
+ */
+var format = function format(logs, errors, dumpFormat, opts) {
+  opts = opts || {};
+  switch (dumpFormat) {
+    case 'jsonl':
+      return _formatJsonLines(logs, errors);
+    case 'text':
+      return _formatText(logs, errors, opts.getLogEntry || function() {});
+    case 'html':
+      return _formatHtml(logs, errors, opts.title || 'Logs');
+    default:
+      throw new Error('Non supported dump format: ' + dumpFormat + ' (supported formats: ' + FORMATS.join(', ') + ')');
+  }
+};
+
+module.exports = {
+  getFormat: getFormat,
+  format: format
+};
@@ -22,94 +22,889 @@
 'use strict';
 
 var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
 var os = require('os');
+var path = require('path');
 var util = require('util');
 var LogWatcher = require('./log-watcher');
+var templateMatcher = require('./log-template');
+var RingBuffer = require('./ring-buffer');
+var logSnapshot = require('./log-snapshot');
+var logDump = require('./log-dump');
+
+var CLOSEST_LOGS = 3;  // Number of closest logs included in the errors of waitForLogToExist
+var SPILL_INDEX_INTERVAL = 1000;  // Number of spilled logs between the offsets kept to read the spill file
+var SPILL_CHUNK_SIZE = 65536;  // Size of the chunks read from the spill file
 
 /**
  * This stateful class represents a log file that is being watched or a stream that is being listened to.
  * Logs (and error) events are internally stored waiting for an external query to ask for the existence
  * of a log that matches a template.
  *
- * @param {(String|Stream)} source to be passed to the LogWatcher.
+ * @param {(String|String[]|Stream|Object)} source to be passed to the LogWatcher.
  * @param {Object} config to be passed to the LogWatcher.
- * @param {Object} opts to be passed to the LogWatcher.
+ * @param {Object} opts to be passed to the LogWatcher. It can also include the following LogReader options:
+ *          - retention: Object with the retention policy of the stored logs and errors (all of them are retained
+ *              by default). It supports the following properties:
+ *                - maxEntries: Maximum number of stored logs (and errors).
+ *                - maxAge: Maximum time (in ms) logs (and errors) are stored since they were received.
+ *                - maxBytes: Maximum size (in bytes) of the stored logs, serialized as JSON.
+ *                - spillFile: Path of a file where evicted logs are written (as JSON Lines, along with the time
+ *                    when they were received and their log entries), so they can still be found by waits and
+ *                    queries (see _someSpilledLog). It is emptied every time the LogReader is
+ *                    started.
+ *          - timestampField: Name of the parsed field with the time when each log was written, which is used instead
+ *              of the time when it was received to measure the time between logs (see getLogTime).
+ *          - correlationField: Name (or dotted path) of the field with the correlation id of each log, which groups
+ *              logs by transaction (see getTransactions).
  * @class
  */
 var LogReader = function LogReader(source, config, opts) {
+  var self = this;
+  var retention = (opts && opts.retention) || {};
   this.logWatcher = new LogWatcher(source, config, opts);
-  this.logs = [];
-  this.errors = [];
+  this._spillFile = retention.spillFile || null;
+  this._timestampField = (opts && opts.timestampField) || null;
+  this._correlationField = (opts && opts.correlationField) || null;
+  this._logInfo = new WeakMap();  // Position, receive time and log entry of each stored log
+  this._logs = new RingBuffer({
+    maxEntries: retention.maxEntries,
+    maxAge: retention.maxAge,
+    maxBytes: retention.maxBytes,
+    onEvict: this._spillFile ? function(log) {
+      self._spillLog(log);
+    } : null
+  });
+  this._spilledLogs = 0;
+  this._spillBytes = 0;
+  this._spillIndex = [];  // Offset in the spill file of every SPILL_INDEX_INTERVAL-th spilled log
+  this._errors = new RingBuffer({
+    maxEntries: retention.maxEntries,
+    maxAge: retention.maxAge
+  });
   this.internalDispatcher = new EventEmitter();
+  // Every pending wait listens to the dispatcher, and there is no limit on the number of concurrent waits
+  this.internalDispatcher.setMaxListeners(0);
+  this._watcherListeners = null;  // Listeners of the LogWatcher events, by event name
+  this._pendingWaits = [];
+  this._lastWaitId = 0;
+  this._marks = {};
+  this._createdMarks = new WeakSet();  // Every mark set since the LogReader was started, even if replaced
+  this._forbiddenTemplates = [];
+  this._allowedTemplates = [];
+  this._violations = [];
 };
 
+/**
+ * Run a function that accepts a callback as its last argument, returning a Promise instead. If the function returns
+ * a pending wait, the promise can be cancelled through its cancel method.
+ * @param {Function} fn - Function that receives the callback.
+ * @return {Promise}
+ */
+function _toPromise(fn) {
+  var wait = null;
+  var promise = new Promise(function(resolve, reject) {
+    wait = fn(function(err, result) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+  if (wait && wait.cancel instanceof Function) {
+    promise.cancel = wait.cancel;
+  }
+  return promise;
+}
+
+/**
+ * Describe how long a wait has looked for logs, to be included in error messages.
+ * @param {Object} opts - Options of the wait.
+ * @return {string}
+ */
+function _describeWaitTime(opts) {
+  if (opts.within !== undefined) {
+    return 'within ' + opts.within + ' ms after ' +
+        ((typeof opts.after === 'string') ? 'the mark "' + opts.after + '"' : 'the given mark or log');
+  }
+  return opts.between ? 'between the given marks' : 'after waiting ' + opts.timeout + ' ms';
+}
+
+/**
+ * @callback LogReader~genericCallback
+ * @param {?Error} err
+ */
+
 /**
  * Start watching the log file. Logs will be internally stored.
+ * @param {LogReader~genericCallback} [cb] - Callback called once the LogWatcher is ready (see LogWatcher.start).
  */
-LogReader.prototype.start = function start() {
+LogReader.prototype.start = function start(cb) {
   var self = this;
 
-  self.stop();
-  self.logs.length = 0;
-  self.errors.length = 0;
-  self.logWatcher.start();
+  // Not calling the stop method of subclasses, which could release what they have set up before calling start
+  LogReader.prototype.stop.call(self);
+  self._logs.clear();
+  self._errors.clear();
+  self._marks = {};
+  self._createdMarks = new WeakSet();
+  self._violations = [];
+  self._logInfo = new WeakMap();
+  self._spilledLogs = 0;
+  self._spillBytes = 0;
+  self._spillIndex = [];
+  if (self._spillFile) {
+    fs.writeFileSync(self._spillFile, '');
+  }
 
-  self.logWatcher.on('log', function(log) {
-    self.logs.push(log);
+  // Listen to the LogWatcher before starting it, since the logs already written can be emitted right away.
+  // The listeners are kept, so only they are removed when stopping (and not the ones added by the user)
+  self._watcherListeners = {};
+  self._watcherListeners.log = function(log, logEntry) {
+    var size = (self._logs.maxBytes === Infinity) ? 0 : Buffer.byteLength(JSON.stringify(log) || '');
+    self._checkForbidden(log);
+    if (log instanceof Object) {
+      self._logInfo.set(log, {position: self._logs.end, receivedAt: Date.now(), logEntry: logEntry});
+    }
+    self._logs.push(log, size);
     self.internalDispatcher.emit('internallog', log);
+  };
+  self._watcherListeners.error = function(err) {
+    self._errors.push(err);
+    self.internalDispatcher.emit('internalerror', err);
+  };
+  Object.keys(self._watcherListeners).forEach(function(event) {
+    self.logWatcher.on(event, self._watcherListeners[event]);
   });
 
-  self.logWatcher.on('error', function(err) {
-    self.errors.push(err);
-    self.internalDispatcher.emit('internalerror', err);
+  self.logWatcher.start(cb);
+};
+
+/**
+ * Start watching the log file, as the start method does.
+ * @return {Promise} A promise resolved once the LogWatcher is ready.
+ */
+LogReader.prototype.startAsync = function startAsync() {
+  var self = this;
+  return _toPromise(function(cb) {
+    self.start(cb);
+  });
+};
+
+/**
+ * Stop watching the log file. The logs left are still stored (see LogWatcher.stop), and then pending waits are
+ * aborted, so they finish with an error.
+ * @param {LogReader~genericCallback} [cb] - Callback called once the LogWatcher is stopped (see LogWatcher.stop).
+ */
+LogReader.prototype.stop = function stop(cb) {
+  var self = this;
+  self.logWatcher.stop(cb);
+  if (self._watcherListeners) {
+    Object.keys(self._watcherListeners).forEach(function(event) {
+      self.logWatcher.removeListener(event, self._watcherListeners[event]);
+    });
+    self._watcherListeners = null;
+  }
+  self._pendingWaits.slice().forEach(function(wait) {
+    wait.cancel('LogReader: ' + wait.method + ' has been aborted because the LogReader has been stopped');
   });
 };
 
 /**
- * Stop watching the log file.
+ * Stop watching the log file, as the stop method does.
+ * @return {Promise} A promise resolved once the LogWatcher is stopped.
  */
-LogReader.prototype.stop = function stop() {
-  this.logWatcher.removeAllListeners();
-  this.logWatcher.stop();
+LogReader.prototype.stopAsync = function stopAsync() {
+  var self = this;
+  return _toPromise(function(cb) {
+    self.stop(cb);
+  });
 };
 
 /**
- * Get the current list of logs.
+ * Get the current list of logs (not including the logs evicted according to the retention policy). It is a copy,
+ * so it does not change when new logs are received.
  * @return {Object[]}
  */
 LogReader.prototype.getLogs = function getLogs() {
-  return this.logs;
+  this._logs.evictExpired();
+  return this._logs.toArray();
 };
 
 /**
- * Get the current list of errors.
+ * Get the current list of errors (not including the errors evicted according to the retention policy). It is a copy,
+ * so it does not change when new errors are received.
  * @return {Error[]}
  */
 LogReader.prototype.getErrors = function getErrors() {
-  return this.errors;
+  this._errors.evictExpired();
+  return this._errors.toArray();
 };
 
-LogReader.prototype._matches = function _matches(log, logTemplate) {
-  if (!logTemplate) {
-    return true;  // Match any log
+/**
+ * The current list of logs, as returned by getLogs (read-only, kept for backwards compatibility).
+ * @name LogReader#logs
+ * @type {Object[]}
+ */
+Object.defineProperty(LogReader.prototype, 'logs', {
+  get: function() {
+    return this.getLogs();
   }
-  return Object.keys(logTemplate).map(function(fieldName) {
-    if (!log.hasOwnProperty(fieldName)) {
-      // If the log has not that field, then it does not match the template
+});
+
+/**
+ * The current list of errors, as returned by getErrors (read-only, kept for backwards compatibility).
+ * @name LogReader#errors
+ * @type {Error[]}
+ */
+Object.defineProperty(LogReader.prototype, 'errors', {
+  get: function() {
+    return this.getErrors();
+  }
+});
+
+/**
+ * JSON replacer that tags dates, so they can be revived when reading the spill file (see _reviveSpilledValue).
+ * @param {string} key
+ * @param {*} value - Value to be serialized (dates have already been converted to strings).
+ * @return {*}
+ * @this {Object} The object that holds the value.
+ */
+function _replaceSpilledValue(key, value) {
+  return (this[key] instanceof Date) ? {$date: value} : value;
+}
+
+/**
+ * JSON reviver that turns the dates tagged by _replaceSpilledValue into Date objects again.
+ * @param {string} key
+ * @param {*} value
+ * @return {*}
+ */
+function _reviveSpilledValue(key, value) {
+  if (value instanceof Object && Object.keys(value).length === 1 && value.hasOwnProperty('$date')) {
+    return new Date((value.$date === null) ? NaN : value.$date);
+  }
+  return value;
+}
+
+/**
+ * Write a log evicted according to the retention policy to the spill file, along with the time when it was received
+ * and its log entry. Dates are tagged, so spilled logs keep their types when read again.
+ * @param {Object} log
+ * @private
+ */
+LogReader.prototype._spillLog = function _spillLog(log) {
+  var logInfo = (log instanceof Object) ? this._logInfo.get(log) : null;
+  var record = {
+    receivedAt: logInfo ? logInfo.receivedAt : null,
+    logEntry: logInfo ? logInfo.logEntry : undefined,
+    log: log
+  };
+  var line = JSON.stringify(record, _replaceSpilledValue) + os.EOL;
+  if (this._spilledLogs % SPILL_INDEX_INTERVAL === 0) {
+    this._spillIndex.push(this._spillBytes);
+  }
+  fs.appendFileSync(this._spillFile, line);
+  this._spillBytes += Buffer.byteLength(line);
+  this._spilledLogs++;
+};
+
+/**
+ * Call a function with each log in a range of the spill file, reading it by chunks (starting at the closest
+ * indexed offset) until the function returns true or the end of the range is reached.
+ * Spilled logs are parsed again, so they are copies of the logs received (with their dates revived). Their positions,
+ * receive times and log entries are recorded, so they can be given as the "after" option and their time is known.
+ * @param {number} start - Position of the first log.
+ * @param {number} end - Position after the last log.
+ * @param {Function} fn - Function called with each log.
+ * @return {boolean} Whether the function has returned true for some log.
+ * @private
+ */
+LogReader.prototype._someSpilledLog = function _someSpilledLog(start, end, fn) {
+  var indexEntry = Math.floor(start / SPILL_INDEX_INTERVAL);
+  var position = indexEntry * SPILL_INDEX_INTERVAL;
+  var offset = this._spillIndex[indexEntry];
+  var fd;
+  try {
+    fd = fs.openSync(this._spillFile, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
       return false;
     }
-    if (logTemplate[fieldName] === undefined) {
-      // Only check that the property exists, and at this point it does exist because it is checked at
-      // the beginning of this method
+    throw err;
+  }
+
+  var chunk = new Buffer(SPILL_CHUNK_SIZE);
+  var data = new Buffer(0);
+  try {
+    while (position < end) {
+      var bytesRead = fs.readSync(fd, chunk, 0, chunk.length, offset);
+      if (!bytesRead) {
+        break;
+      }
+      offset += bytesRead;
+      data = Buffer.concat([data, chunk.slice(0, bytesRead)]);
+      // Each line of the spill file is a log, in the same order as they were received
+      var lineStart = 0;
+      var lineEnd = data.indexOf('\n');
+      while (lineEnd !== -1 && position < end) {
+        if (position >= start) {
+          var record = JSON.parse(data.toString('utf8', lineStart, lineEnd), _reviveSpilledValue);
+          var log = record.log;
+          if (log instanceof Object) {
+            this._logInfo.set(log, {position: position, receivedAt: record.receivedAt, logEntry: record.logEntry});
+          }
+          if (fn(log)) {
+            return true;
+          }
+        }
+        position++;
+        lineStart = lineEnd + 1;
+        lineEnd = data.indexOf('\n', lineStart);
+      }
+      // Keep the incomplete line, to be merged with the next chunk
+      data = data.slice(lineStart);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return false;
+};
+
+/**
+ * Call a function with each stored log in a range, including the ones evicted to the spill file (if any), until
+ * the function returns true. Logs are not loaded all at once, so the spill file can be bigger than the memory.
+ * @param {Object} range - Range returned by _getLogRange.
+ * @param {Function} fn - Function called with each log.
+ * @return {boolean} Whether the function has returned true for some log.
+ * @private
+ */
+LogReader.prototype._someStoredLog = function _someStoredLog(range, fn) {
+  this._logs.evictExpired();
+  // The bounds are fixed beforehand, since the function could make more logs be received (such as by stopping)
+  var retainedStart = this._logs.start;
+  var retainedEnd = Math.min(range.end, this._logs.end);
+  if (this._spillFile && range.start < retainedStart &&
+      this._someSpilledLog(range.start, Math.min(range.end, retainedStart), fn)) {
+    return true;
+  }
+  for (var i = Math.max(range.start, retainedStart); i < retainedEnd; i++) {
+    if (fn(this._logs.get(i))) {
       return true;
     }
-    if (logTemplate[fieldName] instanceof RegExp) {
-      return (log[fieldName].toString().match(logTemplate[fieldName]) !== null);
+  }
+  return false;
+};
+
+/**
+ * Set a mark at the current point of the stored logs, so waits and queries can be limited to the logs received
+ * after the mark (using the "since" option) or between two marks (using the "between" option). Marks are removed
+ * when the LogReader is started again.
+ * @param {string} name - Name of the mark. Setting a mark with the name of an existing one replaces it.
+ * @return {Object} The mark, which can be used instead of its name. It includes the "name" of the mark, the
+ *   "position" (the number of logs received before the mark) and the "date" when it was set.
+ */
+LogReader.prototype.mark = function mark(name) {
+  this._marks[name] = {
+    name: name,
+    position: this._logs.end,
+    date: new Date()
+  };
+  this._createdMarks.add(this._marks[name]);
+  return this._marks[name];
+};
+
+/**
+ * Get a mark given its name, or the mark itself (which must have been set by this LogReader since it was started).
+ * @param {(string|Object)} mark
+ * @return {Object}
+ * @private
+ */
+LogReader.prototype._getMark = function _getMark(mark) {
+  if (mark instanceof Object) {
+    if (!this._createdMarks.has(mark)) {
+      throw new Error('LogReader: Unknown mark (it has not been set by this LogReader since it was started)');
     }
-    return (log[fieldName] === logTemplate[fieldName]);
-  }).reduce(function(previous, value) {
-    return previous && value;
+    return mark;
+  }
+  if (!this._marks.hasOwnProperty(mark)) {
+    throw new Error('LogReader: Unknown mark "' + mark + '"');
+  }
+  return this._marks[mark];
+};
+
+/**
+ * Get the position and the time of the reference given as the "after" option, which can be a mark (or the name of
+ * a mark) or a stored log.
+ * @param {(string|Object)} reference
+ * @return {Object} An object with the "position" of the first log after the reference, and its "time" (in ms), which
+ *   is null if it is unknown (see getLogTime).
+ * @private
+ */
+LogReader.prototype._getReference = function _getReference(reference) {
+  var logInfo = (reference instanceof Object) ? this._logInfo.get(reference) : undefined;
+  if (logInfo) {
+    var logTime = this.getLogTime(reference);
+    return {position: logInfo.position + 1, time: logTime && logTime.getTime()};
+  }
+  if (reference instanceof Object && !this._createdMarks.has(reference)) {
+    throw new Error('LogReader: Unknown mark or log given as the "after" option (it is neither a mark set nor ' +
+        'a log stored by this LogReader since it was started)');
+  }
+  var mark = this._getMark(reference);
+  return {position: mark.position, time: mark.date.getTime()};
+};
+
+/**
+ * Get the time (in ms) after which logs are too late, when the "within" option is given.
+ * @param {Object} opts - Options that can include the "after" and the "within" options.
+ * @return {?number}
+ * @private
+ */
+LogReader.prototype._getDeadline = function _getDeadline(opts) {
+  if (!opts || opts.within === undefined) {
+    return null;
+  }
+  if (opts.after === undefined) {
+    throw new Error('LogReader: The "within" option requires the "after" option');
+  }
+  var time = this._getReference(opts.after).time;
+  if (time === null) {
+    throw new Error('LogReader: The time of the log given as the "after" option is unknown');
+  }
+  return time + opts.within;
+};
+
+/**
+ * Check whether a log has been received in time, that is, not after the deadline (if any).
+ * @param {Object} log
+ * @param {?number} deadline - As returned by _getDeadline.
+ * @return {boolean}
+ * @private
+ */
+LogReader.prototype._isInTime = function _isInTime(log, deadline) {
+  var logTime = (deadline === null) ? null : this.getLogTime(log);
+  return !logTime || logTime.getTime() <= deadline;
+};
+
+/**
+ * Get the time of a log, that is, the value of the field given by the "timestampField" option (if any) or, otherwise,
+ * the date when the log was received (as given by the "receivedAtField" option of the LogWatcher, or as recorded by
+ * the LogReader when the log was stored).
+ * @param {Object} log - A log received by the LogReader.
+ * @return {?Date} The time of the log, or null if it is unknown (such as for logs that are not objects).
+ */
+LogReader.prototype.getLogTime = function getLogTime(log) {
+  if (!(log instanceof Object)) {
+    return null;
+  }
+  var receivedAtField = this.logWatcher.opts.receivedAtField;
+  var logInfo = this._logInfo.get(log);
+  var time;
+  if (this._timestampField && log[this._timestampField] !== undefined) {
+    time = new Date(log[this._timestampField]);
+  } else if (receivedAtField && log[receivedAtField] !== undefined) {
+    time = new Date(log[receivedAtField]);
+  } else if (logInfo && logInfo.receivedAt !== null) {
+    time = new Date(logInfo.receivedAt);
+  } else {
+    return null;
+  }
+  return isNaN(time.getTime()) ? null : time;
+};
+
+/**
+ * Measure the time between the first stored log matching a template and the first log matching another template
+ * stored after it.
+ * @param {?Object} fromLogTemplate - The same template passed to waitForLogToExist.
+ * @param {?Object} toLogTemplate - The same template passed to waitForLogToExist.
+ * @param {Object} [opts] - The same options supported by the filter method.
+ * @return {?Object} An object with the found logs ("from" and "to") and the "gap" between them (in ms, according
+ *   to getLogTime), or null if any of the logs is not found (or the time of any of them is unknown).
+ */
+LogReader.prototype.measureGap = function measureGap(fromLogTemplate, toLogTemplate, opts) {
+  var self = this;
+  var fromLog = null;
+  var toLog = null;
+  self._someStoredLog(self._getLogRange(opts), function(log) {
+    if (fromLog === null) {
+      if (self._matches(log, fromLogTemplate)) {
+        fromLog = log;
+      }
+    } else if (self._matches(log, toLogTemplate)) {
+      toLog = log;
+    }
+    return toLog !== null;
+  });
+  var fromTime = (toLog === null) ? null : self.getLogTime(fromLog);
+  var toTime = (toLog === null) ? null : self.getLogTime(toLog);
+  if (!fromTime || !toTime) {
+    return null;
+  }
+  return {from: fromLog, to: toLog, gap: toTime.getTime() - fromTime.getTime()};
+};
+
+/**
+ * Get the range of logs (positions in the sequence of received logs) a wait or a query is limited to.
+ * @param {Object} opts - Options that can include the "since", "after" or "between" options.
+ * @return {Object} An object with the "start" and "end" (not included) positions. The end is Infinity when the
+ *   range includes the logs to be received in the future.
+ * @private
+ */
+LogReader.prototype._getLogRange = function _getLogRange(opts) {
+  opts = opts || {};
+  if (opts.between) {
+    return {start: this._getMark(opts.between[0]).position, end: this._getMark(opts.between[1]).position};
+  }
+  if (opts.after !== undefined) {
+    return {start: this._getReference(opts.after).position, end: Infinity};
+  }
+  return {start: (opts.since === undefined) ? 0 : this._getMark(opts.since).position, end: Infinity};
+};
+
+/**
+ * Get the stored logs matching a template.
+ * @param {?Object} logTemplate - The same template passed to waitForLogToExist. If not given, any log matches.
+ * @param {Object} [opts] - Supported values:
+ *          - since: Mark (or name of the mark) after which the logs must have been received.
+ *          - between: Array with the two marks (or names of the marks) between which the logs must have been
+ *              received.
+ *          - after: Mark (or name of the mark), or stored log, after which the logs must have been received.
+ *          - within: Time (in ms) since the "after" mark or log during which the logs must have been received
+ *              (or written, according to getLogTime).
+ * @return {Object[]}
+ */
+LogReader.prototype.filter = function filter(logTemplate, opts) {
+  var foundLogs = [];
+  this._someMatchingLog(logTemplate, opts, function(log) {
+    foundLogs.push(log);
+  });
+  return foundLogs;
+};
+
+/**
+ * Call a function with each stored log matching a template, until the function returns true.
+ * @param {?Object} logTemplate - The same template passed to waitForLogToExist. If not given, any log matches.
+ * @param {Object} [opts] - The same options supported by the filter method.
+ * @param {Function} fn - Function called with each matching log.
+ * @private
+ */
+LogReader.prototype._someMatchingLog = function _someMatchingLog(logTemplate, opts, fn) {
+  var self = this;
+  var deadline = self._getDeadline(opts);
+  self._someStoredLog(self._getLogRange(opts), function(log) {
+    return self._isInTime(log, deadline) && self._matches(log, logTemplate) && fn(log);
+  });
+};
+
+/**
+ * Get the first stored log matching a template.
+ * @param {?Object} logTemplate - The same template passed to waitForLogToExist. If not given, any log matches.
+ * @param {Object} [opts] - The same options supported by the filter method.
+ * @return {?Object} The found log, or null if no stored log matches the template.
+ */
+LogReader.prototype.find = function find(logTemplate, opts) {
+  var foundLog = null;
+  this._someMatchingLog(logTemplate, opts, function(log) {
+    foundLog = log;
+    return true;
   });
+  return foundLog;
+};
+
+/**
+ * Get the last stored log matching a template.
+ * @param {?Object} logTemplate - The same template passed to waitForLogToExist. If not given, any log matches.
+ * @param {Object} [opts] - The same options supported by the filter method.
+ * @return {?Object} The found log, or null if no stored log matches the template.
+ */
+LogReader.prototype.last = function last(logTemplate, opts) {
+  var foundLog = null;
+  this._someMatchingLog(logTemplate, opts, function(log) {
+    foundLog = log;
+  });
+  return foundLog;
+};
+
+/**
+ * Forbid the logs matching some templates, so any log received afterwards that matches them (and does not match
+ * any allowed template) is recorded as a violation. See the verifyNoViolations method.
+ * @param {(Object|Object[])} logTemplates - Template, or array of templates, of the forbidden logs (such as
+ *   {level: 'ERROR'}).
+ */
+LogReader.prototype.forbid = function forbid(logTemplates) {
+  this._forbiddenTemplates = this._forbiddenTemplates.concat(logTemplates);
+};
+
+/**
+ * Allow the logs matching some templates, even if they match a forbidden template (useful for expected errors).
+ * @param {(Object|Object[])} logTemplates - Template, or array of templates, of the allowed logs.
+ */
+LogReader.prototype.allow = function allow(logTemplates) {
+  this._allowedTemplates = this._allowedTemplates.concat(logTemplates);
+};
+
+/**
+ * Remove the forbidden and allowed templates, and the recorded violations.
+ */
+LogReader.prototype.clearForbidden = function clearForbidden() {
+  this._forbiddenTemplates = [];
+  this._allowedTemplates = [];
+  this._violations = [];
+};
+
+/**
+ * Record a violation if a received log is forbidden and not allowed.
+ * @param {Object} log
+ * @private
+ */
+LogReader.prototype._checkForbidden = function _checkForbidden(log) {
+  var self = this;
+  var forbiddenTemplate;
+  self._forbiddenTemplates.some(function(logTemplate) {
+    if (self._matches(log, logTemplate)) {
+      forbiddenTemplate = logTemplate;
+      return true;
+    }
+    return false;
+  });
+  var allowed = forbiddenTemplate && self._allowedTemplates.some(function(logTemplate) {
+    return self._matches(log, logTemplate);
+  });
+  if (forbiddenTemplate && !allowed) {
+    self._violations.push({log: log, template: forbiddenTemplate, position: self._logs.end});
+  }
+};
+
+/**
+ * Get the violations, that is, the received logs that match a forbidden template and do not match any allowed
+ * template (see the forbid and allow methods). Violations are not evicted by the retention policy, and they are
+ * removed when the LogReader is started again.
+ * @param {Object} [opts] - The same options supported by the filter method, to get only the violations of the logs
+ *   received after a mark or between two marks.
+ * @return {Object[]} Each violation is an object with the forbidden 'log', the 'template' it matches and its
+ *   'position' (the number of logs received before it).
+ */
+LogReader.prototype.getViolations = function getViolations(opts) {
+  var range = this._getLogRange(opts);
+  return this._violations.filter(function(violation) {
+    return violation.position >= range.start && violation.position < range.end;
+  });
+};
+
+/**
+ * Check that no violations have been recorded (see getViolations).
+ * @param {Object} [opts] - The same options supported by the getViolations method.
+ * @throws {Error} An error describing the violations, if any, whose 'violations' property has the violations.
+ */
+LogReader.prototype.verifyNoViolations = function verifyNoViolations(opts) {
+  var violations = this.getViolations(opts);
+  if (violations.length) {
+    var err = new Error('LogReader: ' + violations.length + ' forbidden log(s) have been found:' +
+        violations.map(function(violation) {
+          return os.EOL + util.inspect(violation.log) + ' (forbidden by ' + util.inspect(violation.template) + ')';
+        }).join(''));
+    err.violations = violations;
+    throw err;
+  }
+};
+
+/**
+ * Compare the stored logs with the ones recorded in a snapshot (golden) file. If the update mode is enabled, the stored
+ * logs are written to the file instead. That is the only way to create the file, so a missing file is not silently
+ * created when running the tests in CI.
+ * @param {string} file - Path of the snapshot file, where logs are written as JSON Lines.
+ * @param {Object} [opts] - The same options supported by the filter method, and also:
+ *          - template: Template of the logs to be included in the snapshot (all of them are included by default).
+ *          - mask, normalize: Fields to be masked or normalized (see the normalize function of the log-snapshot
+ *              module), such as timestamps, ids or durations.
+ *          - ordered (defaults to true): Whether the logs must be in the same order as in the snapshot.
+ *          - update (defaults to true if the TARTARE_LOGS_UPDATE_SNAPSHOTS environment variable is '1' or 'true'): If
+ *              true, the snapshot file is written with the stored logs.
+ * @throws {Error} An error if the snapshot file does not exist (and the update mode is not enabled), or an error
+ *   with a readable diff between the snapshot and the stored logs, if they do not match. Its
+ *   'missing' and 'unexpected' properties have the logs of the snapshot that have not been found and the stored logs
+ *   that are not in the snapshot, respectively.
+ */
+LogReader.prototype.verifySnapshot = function verifySnapshot(file, opts) {
+  opts = opts || {};
+  var update = (opts.update === undefined) ?
+      ['1', 'true'].indexOf(process.env.TARTARE_LOGS_UPDATE_SNAPSHOTS) !== -1 : opts.update;
+  var actualLogs = logSnapshot.normalize(this.filter(opts.template || null, opts), opts);
+  if (update) {
+    logSnapshot.write(file, actualLogs);
+    return;
+  }
+  var expectedLogs = logSnapshot.read(file);
+  if (!expectedLogs) {
+    throw new Error('LogReader: The snapshot ' + file + ' does not exist. Set the TARTARE_LOGS_UPDATE_SNAPSHOTS ' +
+        'environment variable to 1 (or use the update option) to create it');
+  }
+
+  var comparison = logSnapshot.compare(expectedLogs, actualLogs, opts);
+  if (!comparison.equal) {
+    var err = new Error('LogReader: The logs do not match the snapshot ' + file + ' (- missing, + unexpected):' +
+        os.EOL + comparison.diff);
+    err.missing = comparison.missing;
+    err.unexpected = comparison.unexpected;
+    throw err;
+  }
+};
+
+/**
+ * Write the stored logs and errors to a file, to be kept as a test artifact.
+ * @param {string} file - Path of the file.
+ * @param {Object} [opts] - The same options supported by the filter method, and also:
+ *          - format: 'jsonl' (JSON Lines), 'text' (the log entries as read) or 'html' (see the format function of
+ *              the log-dump module). By default, it depends on the extension of the file: 'jsonl' for .jsonl and
+ *              .json files, 'html' for .html and .htm files, and 'text' otherwise.
+ *          - title: Title of the HTML page (defaults to the name of the file).
+ */
+LogReader.prototype.dump = function dump(file, opts) {
+  opts = opts || {};
+  var dumpFormat = opts.format || logDump.getFormat(file);
+  var errors = (opts.since === undefined && opts.between === undefined && opts.after === undefined) ?
+      this.getErrors() : [];
+  var logInfo = this._logInfo;
+  fs.writeFileSync(file, logDump.format(this.filter(null, opts), errors, dumpFormat, {
+    title: opts.title || path.basename(file),
+    getLogEntry: function(log) {
+      var info = (log instanceof Object) ? logInfo.get(log) : undefined;
+      return info && info.logEntry;
+    }
+  }));
+};
+
+/**
+ * Get the waits (calls to the waitForLog* methods) that have not finished yet. Each wait is an object with the
+ * following properties:
+ *   - id: Identifier of the wait.
+ *   - method: Name of the method that has been called (such as 'waitForLogToExist').
+ *   - template: Template (or templates, for waitForLogSequence) the wait is looking for.
+ *   - timeout: Time in ms the wait lasts at most.
+ *   - startedAt: Date when the wait started.
+ *   - cancel: Function that cancels the wait (which finishes with an error whose "cancelled" property is true),
+ *       accepting an optional error message.
+ * @return {Object[]}
+ */
+LogReader.prototype.getPendingWaits = function getPendingWaits() {
+  return this._pendingWaits.slice();
+};
+
+/**
+ * Start a wait, looking for logs in the logs list (as if they were received right now) and then in the new logs
+ * received, until the wait finishes or its timeout expires. Each wait listens to the logs on its own, so several
+ * waits can be pending at the same time. When the wait is limited to the logs between two marks, no new logs are
+ * looked for, so the wait finishes right after looking for logs in the logs list.
+ * @param {Object} wait - Object with the 'method', 'template' and 'timeout' properties (see getPendingWaits), and
+ *   the '_onLog' and '_onTimeout' functions, which are called with a log and with no arguments, respectively,
+ *   and receive the function that finishes the wait as their last argument.
+ *   The 'id', 'startedAt' and 'cancel' properties are added to the wait, as well as a '_fail' function that
+ *   finishes it with the given error.
+ * @param {Object} opts - Options of the wait, which can include the "since" or the "between" options.
+ * @param {Function} cb - Callback called when the wait finishes.
+ * @return {Object} The wait.
+ * @private
+ */
+LogReader.prototype._startWait = function _startWait(wait, opts, cb) {
+  var self = this;
+  var timeoutId = null;
+  var range = self._getLogRange(opts);
+  var deadline = self._getDeadline(opts);
+  var timeout = wait.timeout;
+  if (deadline !== null && !self._timestampField) {
+    // Logs received after the deadline are too late, so there is no need to wait longer
+    timeout = Math.min(timeout, Math.max(deadline - Date.now(), 0));
+  }
+
+  function _isPending() {
+    return self._pendingWaits.indexOf(wait) !== -1;
+  }
+
+  function _finish(err, result) {
+    if (!_isPending()) {
+      return;  // Already finished
+    }
+    clearTimeout(timeoutId);
+    self.internalDispatcher.removeListener('internallog', _onLog);
+    self.internalDispatcher.removeListener('internalerror', _onError);
+    self._pendingWaits.splice(self._pendingWaits.indexOf(wait), 1);
+    cb(err, result);
+  }
+
+  function _onLog(log) {
+    if (self._isInTime(log, deadline)) {
+      wait._onLog(log, _finish);
+    }
+  }
+
+  function _onError(err) {
+    _finish(self._getLogErrorsError([err]));
+  }
+
+  wait.id = ++self._lastWaitId;
+  wait.startedAt = new Date();
+  wait.cancel = function cancel(message) {
+    var err = new Error(message || 'LogReader: ' + wait.method + ' has been cancelled');
+    err.cancelled = true;
+    _finish(err);
+  };
+  wait._fail = _finish;
+  self._pendingWaits.push(wait);
+
+  var errors = self.getErrors();
+  if (errors.length) {
+    // If there is some log error, finish immediately reporting the errors
+    _finish(self._getLogErrorsError(errors));
+  }
+  if (_isPending()) {
+    self._someStoredLog(range, function(log) {
+      _onLog(log);
+      return !_isPending();
+    });
+  }
+  if (_isPending() && range.end !== Infinity) {
+    // No logs received in the future can be in the range
+    wait._onTimeout(_finish);
+  } else if (_isPending()) {
+    // The wanted logs could come in the near future, so subscribe to new logs/errors
+    timeoutId = setTimeout(wait._onTimeout, timeout, _finish);
+    self.internalDispatcher.on('internallog', _onLog);
+    self.internalDispatcher.on('internalerror', _onError);
+  }
+  return wait;
+};
+
+/**
+ * Build the error that makes waits fail because of the errors emitted by the LogWatcher.
+ * @param {Error[]} errors
+ * @return {Error}
+ * @private
+ */
+LogReader.prototype._getLogErrorsError = function _getLogErrorsError(errors) {
+  return new Error(errors.map(function(error) {
+    return os.EOL + error.message + os.EOL + util.inspect(error.details);
+  }).join(''));
+};
+
+/**
+ * Get a checkpoint with the current position in the log file, as returned by LogWatcher.getPosition.
+ * @return {?Object}
+ */
+LogReader.prototype.getPosition = function getPosition() {
+  return this.logWatcher.getPosition();
+};
+
+/**
+ * Check whether a log matches a template (see the log-template module).
+ * @param {Object} log
+ * @param {?Object} logTemplate
+ * @return {boolean}
+ * @private
+ */
+LogReader.prototype._matches = function _matches(log, logTemplate) {
+  return templateMatcher.matches(log, logTemplate);
 };
 
 /**
@@ -125,70 +920,501 @@ LogReader.prototype._matches = function _matches(log, logTemplate) {
  * The logTemplate is an object whose field names are the field names to search in the log, and whose values are
  * the expected values or a RegExp against which the log value will be matched.
  * If the strict flag is set, the callback will be called with an error if a log not matching the logTemplate is found.
+ * When the timeout expires, the error includes the logs that came closest to match the template ("closestLogs"
+ * property, see the findClosest function of the log-template module), describing the differences of each one.
+ * If no callback is given, a Promise is returned instead, which is resolved with the found log or rejected with
+ * the same error the callback would receive.
  *
  * @param {Object} logTemplate - Object whose field names are the field names to search in the log,
  *   and whose values are the expected values or a RegExp against which the log value will be matched.
  * @param {Object} opts - Supported values:
  *          - timeout: timeout in ms (defaults to 3000).
  *          - strict: boolean.
- * @param {LogReader~foundLogCallback} cb - Callback called when the log is found.
+ *          - since: Mark (or name of the mark) after which the log must have been received.
+ *          - between: Array with the two marks (or names of the marks) between which the log must have been
+ *              received.
+ *          - after: Mark (or name of the mark), or stored log (such as a log found by a previous wait), after which
+ *              the log must have been received.
+ *          - within: Time (in ms) since the "after" mark or log during which the log must have been received (or
+ *              written, according to getLogTime). Unless the "timestampField" option is given, the wait finishes
+ *              as soon as that time expires.
+ * @param {LogReader~foundLogCallback} [cb] - Callback called when the log is found.
+ * @return {(Promise|?Object)} A promise resolved with the found log (which can be cancelled through its cancel
+ *   method), if no callback is given, or the wait (see getPendingWaits) otherwise.
  */
 LogReader.prototype.waitForLogToExist = function waitForLogToExist(logTemplate, opts, cb) {
   if (!cb && opts instanceof Function) {
     cb = opts;
     opts = null;
   }
+  var self = this;
+  if (!cb) {
+    return _toPromise(function(callback) {
+      return self.waitForLogToExist(logTemplate, opts, callback);
+    });
+  }
   opts = opts || {};
   opts.timeout = opts.timeout || 3000;
+
+  return self._startWait({
+    method: 'waitForLogToExist',
+    template: logTemplate,
+    timeout: opts.timeout,
+    _onLog: function(log, finish) {
+      if (self._matches(log, logTemplate)) {
+        finish(null, log);
+      } else if (opts.strict) {
+        finish(new Error('An unexpected log has been found:\n' + JSON.stringify(log, null, 2)));
+      }
+    },
+    _onTimeout: function(finish) {
+      // Include the logs that came closest to match the template, to help finding out why none matched
+      var closestLogs = [];
+      self._someMatchingLog(null, opts, function(log) {
+        templateMatcher.addClosest(closestLogs, log, logTemplate, CLOSEST_LOGS);
+      });
+      var err = new Error('No logs have been found ' + _describeWaitTime(opts) + (closestLogs.length ?
+          '. Closest logs:' + os.EOL + templateMatcher.describeClosest(closestLogs, logTemplate) : ''));
+      err.logs = self.getLogs();
+      err.closestLogs = closestLogs;
+      finish(err);
+    }
+  }, opts, cb);
+};
+
+/**
+ * @callback LogReader~notFoundLogCallback
+ * @param {?Error} err
+ */
+
+/**
+ * This function checks that no log matching the logTemplate exists in the logs list, and that no log matching it
+ * is received during the given time. The callback is called without error once that time expires, or with an error
+ * as soon as a matching log is found (conveying the offending log in its "log" property) or an error happens.
+ * If no callback is given, a Promise is returned instead, which is resolved once the time expires or rejected with
+ * the same error the callback would receive.
+ *
+ * @param {Object} logTemplate - The same template passed to waitForLogToExist.
+ * @param {Object} opts - Supported values:
+ *          - during: time in ms during which no matching log must be received (defaults to 3000).
+ *          - since, between, after, within: The same options supported by waitForLogToExist.
+ * @param {LogReader~notFoundLogCallback} [cb] - Callback called when the time expires or a matching log is found.
+ * @return {(Promise|?Object)} A promise resolved when the time expires (which can be cancelled through its cancel
+ *   method), if no callback is given, or the wait (see getPendingWaits) otherwise.
+ */
+LogReader.prototype.waitForLogNotToExist = function waitForLogNotToExist(logTemplate, opts, cb) {
+  if (!cb && opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+  var self = this;
+  if (!cb) {
+    return _toPromise(function(callback) {
+      return self.waitForLogNotToExist(logTemplate, opts, callback);
+    });
+  }
+  opts = opts || {};
+  opts.during = opts.during || 3000;
+
+  return self._startWait({
+    method: 'waitForLogNotToExist',
+    template: logTemplate,
+    timeout: opts.during,
+    _onLog: function(log, finish) {
+      if (self._matches(log, logTemplate)) {
+        var err = new Error('A log matching the template has been found:\n' + JSON.stringify(log, null, 2));
+        err.log = log;
+        finish(err);
+      }
+    },
+    _onTimeout: function(finish) {
+      // No matching log has been received during the whole time
+      finish(null);
+    }
+  }, opts, cb);
+};
+
+/**
+ * @callback LogReader~foundLogsCallback
+ * @param {?Error} err
+ * @param {Object[]} foundLogs
+ */
+
+/**
+ * This function waits for a sequence of logs, each one matching one of the logTemplates, looking for them in the logs
+ * list and in the new logs received before the timeout expires. Each log is consumed by a single template, so a log
+ * cannot match two steps of the sequence.
+ * When the timeout expires, the callback is called with an error that states which step of the sequence has not been
+ * found (its "step" property is the number of the first missing step, and its "template" property is its template).
+ * If no callback is given, a Promise is returned instead, which is resolved with the found logs or rejected with
+ * the same error the callback would receive.
+ *
+ * @param {Object[]} logTemplates - Templates (the same ones passed to waitForLogToExist) of each step.
+ * @param {Object} opts - Supported values:
+ *          - timeout: timeout in ms (defaults to 3000).
+ *          - ordering: 'strict' (default) if the logs must be received in the same order as the templates, or
+ *              'loose' if they can be received in any order.
+ *          - since, between, after, within: The same options supported by waitForLogToExist.
+ * @param {LogReader~foundLogsCallback} [cb] - Callback called with the found logs (in the order of the templates).
+ * @return {(Promise|?Object)} A promise resolved with the found logs (which can be cancelled through its cancel
+ *   method), if no callback is given, or the wait (see getPendingWaits) otherwise.
+ */
+LogReader.prototype.waitForLogSequence = function waitForLogSequence(logTemplates, opts, cb) {
+  if (!cb && opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+  var self = this;
+  if (!cb) {
+    return _toPromise(function(callback) {
+      return self.waitForLogSequence(logTemplates, opts, callback);
+    });
+  }
+  return self._waitForLogSequence('waitForLogSequence', 'The log sequence', logTemplates, opts || {}, cb);
+};
+
+/**
+ * Wait for a sequence of logs (see waitForLogSequence).
+ * @param {string} method - Name of the method that has been called.
+ * @param {string} description - Description of the sequence, to be included in error messages.
+ * @param {Object[]} logTemplates
+ * @param {Object} opts
+ * @param {LogReader~foundLogsCallback} cb
+ * @return {?Object} The wait.
+ * @private
+ */
+LogReader.prototype._waitForLogSequence = function _waitForLogSequence(method, description, logTemplates, opts, cb) {
   var self = this;
+  opts.timeout = opts.timeout || 3000;
+  opts.ordering = opts.ordering || 'strict';
+  if (opts.ordering !== 'strict' && opts.ordering !== 'loose') {
+    throw new Error('LogReader: Non supported ordering');
+  }
+
+  var foundLogs = new Array(logTemplates.length);  // Log consumed by each template
+  var foundCount = 0;
 
-  var timeoutId = setTimeout(function() {
-    self.internalDispatcher.removeAllListeners();
-    var err = new Error('No logs have been found after waiting ' + opts.timeout + ' ms');
-    err.logs = self.logs;
-    cb(err);
-  }, opts.timeout);
+  // Try to assign a log to a template not visited yet, moving the log already assigned to that template (if any)
+  // to another template, so the number of consumed logs is the highest possible one when the order does not matter
+  function _assign(log, visited) {
+    for (var i = 0; i < logTemplates.length; i++) {
+      if (!visited[i] && self._matches(log, logTemplates[i])) {
+        visited[i] = true;
+        if (!foundLogs[i] || _assign(foundLogs[i], visited)) {
+          foundLogs[i] = log;
+          return true;
+        }
+      }
+    }
+    return false;
+  }
 
-  if (self.errors.length) {
-    // If there is some log error, call the callback immediately reporting the errors
-    return cb(new Error(os.EOL + self.errors.map(function(error) {
-      return error.message + os.EOL + util.inspect(error.details);
-    }).join(os.EOL)));
+  if (!logTemplates.length) {
+    cb(null, []);
+    return null;
   }
 
-  var foundLog = null;
-  for (var i = 0; i < self.logs.length; i++) {
-    if (self._matches(self.logs[i], logTemplate)) {
-      foundLog = self.logs[i];
-      break;
-    } else if (opts.strict) {
-      return cb(new Error('An unexpected log has been found:\n' + JSON.stringify(self.logs[i], null, 2)));
+  return self._startWait({
+    method: method,
+    template: logTemplates,
+    timeout: opts.timeout,
+    _onLog: function(log, finish) {
+      if (opts.ordering === 'strict') {
+        if (self._matches(log, logTemplates[foundCount])) {
+          foundLogs[foundCount++] = log;
+        }
+      } else if (_assign(log, [])) {
+        foundCount++;
+      }
+      if (foundCount === logTemplates.length) {
+        finish(null, foundLogs);
+      }
+    },
+    _onTimeout: function(finish) {
+      var missingSteps = [];
+      for (var i = 0; i < logTemplates.length; i++) {
+        if (!foundLogs[i]) {
+          missingSteps.push(i);
+        }
+      }
+      if (opts.ordering === 'strict') {
+        missingSteps.length = 1;  // The steps after the first missing one have not been looked for
+      }
+      var err = new Error(description + ' has not been completed ' + _describeWaitTime(opts) + '.' +
+          missingSteps.map(function(step) {
+            return os.EOL + 'Step ' + (step + 1) + ' of ' + logTemplates.length + ' has not been found: ' +
+                util.inspect(logTemplates[step]);
+          }).join(''));
+      err.step = missingSteps[0] + 1;
+      err.template = logTemplates[missingSteps[0]];
+      err.foundLogs = foundLogs;
+      err.logs = self.getLogs();
+      finish(err);
     }
+  }, opts, cb);
+};
+
+/**
+ * This function waits for the number of logs matching the logTemplate (in the logs list and in the new logs received
+ * before the timeout expires) to be within the given bounds. As soon as there are more logs than the maximum,
+ * the callback is called with an error. Otherwise, if there is no maximum, the callback is called as soon as there
+ * are as many logs as the minimum, and if there is a maximum, it is called once the timeout expires (with an error
+ * if there are fewer logs than the minimum).
+ * If no callback is given, a Promise is returned instead, which is resolved with the found logs or rejected with
+ * the same error the callback would receive.
+ *
+ * @param {Object} logTemplate - The same template passed to waitForLogToExist.
+ * @param {Object} opts - Supported values:
+ *          - min: minimum number of logs (defaults to 1, or to 0 if there is a maximum).
+ *          - max: maximum number of logs (defaults to no maximum).
+ *          - exactly: exact number of logs (the same as setting both min and max).
+ *          - timeout: timeout in ms (defaults to 3000).
+ *          - since, between, after, within: The same options supported by waitForLogToExist.
+ * @param {LogReader~foundLogsCallback} [cb] - Callback called with the found logs.
+ * @return {(Promise|?Object)} A promise resolved with the found logs (which can be cancelled through its cancel
+ *   method), if no callback is given, or the wait (see getPendingWaits) otherwise.
+ */
+LogReader.prototype.waitForLogCount = function waitForLogCount(logTemplate, opts, cb) {
+  if (!cb && opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+  var self = this;
+  if (!cb) {
+    return _toPromise(function(callback) {
+      return self.waitForLogCount(logTemplate, opts, callback);
+    });
+  }
+  opts = opts || {};
+  opts.timeout = opts.timeout || 3000;
+  var min = (opts.exactly === undefined) ? opts.min : opts.exactly;
+  var max = (opts.exactly === undefined) ? opts.max : opts.exactly;
+  if (min === undefined) {
+    min = (max === undefined) ? 1 : 0;
+  }
+  if (max === undefined) {
+    max = Infinity;
+  }
+  if (min > max) {
+    throw new Error('LogReader: Non supported count');
   }
 
-  if (foundLog) {
-    // The log has been found in the already received logs
-    clearTimeout(timeoutId);
-    return cb(null, foundLog);
+  var expected;
+  if (opts.exactly !== undefined) {
+    expected = 'exactly ' + min;
+  } else if (max === Infinity) {
+    expected = 'at least ' + min;
+  } else {
+    expected = (min === 0) ? 'at most ' + max : 'between ' + min + ' and ' + max;
   }
 
-  // If the log has not been found, it could came in the near future, so subscribe to new logs/errors
-  self.internalDispatcher.on('internallog', function(log) {
-    if (self._matches(log, logTemplate)) {
-      clearTimeout(timeoutId);
-      self.internalDispatcher.removeAllListeners();
-      cb(null, log);
-    } else if (opts.strict) {
-      clearTimeout(timeoutId);
-      self.internalDispatcher.removeAllListeners();
-      cb(new Error('An unexpected log has been found:\n' + JSON.stringify(log, null, 2)));
+  function _countError(foundLogs, timedOut) {
+    var err = new Error('Expected ' + expected + ' logs matching ' + util.inspect(logTemplate) + ', but ' +
+        foundLogs.length + ' have been found' + (timedOut ? ' ' + _describeWaitTime(opts) : ''));
+    err.foundLogs = foundLogs;
+    err.logs = self.getLogs();
+    return err;
+  }
+
+  var foundLogs = [];
+  if (min === 0 && max === Infinity) {
+    // Any number of logs is fine
+    cb(null, self.filter(logTemplate, opts));
+    return null;
+  }
+
+  return self._startWait({
+    method: 'waitForLogCount',
+    template: logTemplate,
+    timeout: opts.timeout,
+    _onLog: function(log, finish) {
+      if (!self._matches(log, logTemplate)) {
+        return;
+      }
+      foundLogs.push(log);
+      if (foundLogs.length > max) {
+        finish(_countError(foundLogs, false));
+      } else if (max === Infinity && foundLogs.length >= min) {
+        finish(null, foundLogs);
+      }
+    },
+    _onTimeout: function(finish) {
+      if (foundLogs.length < min) {
+        finish(_countError(foundLogs, true));
+      } else {
+        finish(null, foundLogs);
+      }
+    }
+  }, opts, cb);
+};
+
+/**
+ * Get the correlation field, which is needed to group logs by transaction.
+ * @return {string}
+ * @private
+ */
+LogReader.prototype._getCorrelationField = function _getCorrelationField() {
+  if (!this._correlationField) {
+    throw new Error('LogReader: The correlationField option is needed to group logs by transaction');
+  }
+  return this._correlationField;
+};
+
+/**
+ * Get the stored logs grouped by transaction, that is, by the value of the field given by the "correlationField"
+ * option. Logs without that field are not part of any transaction.
+ * @param {Object} [opts] - The same options supported by the filter method.
+ * @return {Object[]} Each transaction is an object with its "id" (the correlation id) and its "logs", in the order
+ *   the first log of each transaction was received.
+ */
+LogReader.prototype.getTransactions = function getTransactions(opts) {
+  var correlationField = this._getCorrelationField();
+  var transactions = [];
+  var transactionsById = new Map();
+  this._someMatchingLog(null, opts, function(log) {
+    var id = templateMatcher.getValue(log, correlationField);
+    if (id === undefined) {
+      return;
+    }
+    if (!transactionsById.has(id)) {
+      transactionsById.set(id, {id: id, logs: []});
+      transactions.push(transactionsById.get(id));
     }
+    transactionsById.get(id).logs.push(log);
   });
-  self.internalDispatcher.on('internalerror', function(err) {
-    clearTimeout(timeoutId);
-    self.internalDispatcher.removeAllListeners();
-    cb(new Error(err.message + os.EOL + util.inspect(err.details)));
+  return transactions;
+};
+
+/**
+ * Get the stored logs of a transaction (see getTransactions).
+ * @param {*} id - Correlation id of the transaction.
+ * @param {Object} [opts] - The same options supported by the filter method.
+ * @return {Object[]}
+ */
+LogReader.prototype.getTransaction = function getTransaction(id, opts) {
+  var correlationField = this._getCorrelationField();
+  var transactionLogs = [];
+  this._someMatchingLog(null, opts, function(log) {
+    if (templateMatcher.getValue(log, correlationField) === id) {
+      transactionLogs.push(log);
+    }
   });
+  return transactionLogs;
+};
+
+/**
+ * Check the logs of a transaction once all of them have been found (see waitForTransaction).
+ * @param {*} id - Correlation id of the transaction.
+ * @param {Object[]} foundLogs - Logs found for each template.
+ * @param {Object} opts - Options of the wait.
+ * @return {?Error} The error describing why the check has failed, if any.
+ * @private
+ */
+LogReader.prototype._checkTransaction = function _checkTransaction(id, foundLogs, opts) {
+  var self = this;
+  var correlationField = self._getCorrelationField();
+  var err = null;
+
+  if (opts.exact) {
+    var transactionLogs = self.getTransaction(id, opts);
+    if (transactionLogs.length !== foundLogs.length) {
+      var unexpectedLogs = transactionLogs.filter(function(log) {
+        return foundLogs.indexOf(log) === -1;
+      });
+      err = new Error('The transaction ' + util.inspect(id) + ' has unexpected logs:' +
+          unexpectedLogs.map(function(log) {
+            return os.EOL + util.inspect(log);
+          }).join(''));
+      err.unexpectedLogs = unexpectedLogs;
+    }
+  }
+
+  var positions = foundLogs.map(function(log) {
+    var logInfo = self._logInfo.get(log);
+    return logInfo ? logInfo.position : null;
+  }).filter(function(position) {
+    return position !== null;
+  });
+  if (!err && opts.isolated && positions.length) {
+    var mixedLogs = [];
+    self._someStoredLog({
+      start: Math.min.apply(Math, positions),
+      end: Math.max.apply(Math, positions) + 1
+    }, function(log) {
+      var logId = templateMatcher.getValue(log, correlationField);
+      if (logId !== undefined && logId !== id) {
+        mixedLogs.push(log);
+      }
+    });
+    if (mixedLogs.length) {
+      err = new Error('The transaction ' + util.inspect(id) + ' is mixed with other transactions, whose logs have ' +
+          'been found among its logs:' + mixedLogs.map(function(log) {
+            return os.EOL + util.inspect(log);
+          }).join(''));
+      err.mixedLogs = mixedLogs;
+    }
+  }
+
+  if (err) {
+    err.foundLogs = foundLogs;
+    err.logs = self.getLogs();
+  }
+  return err;
+};
+
+/**
+ * This function waits for the logs of a transaction (the logs whose correlation field, given by the
+ * "correlationField" option, has the given value), each one matching one of the logTemplates, as waitForLogSequence
+ * does. Once all of them have been found, the transaction can also be checked to be made up of exactly those logs,
+ * and not to be mixed with other transactions.
+ * If no callback is given, a Promise is returned instead, which is resolved with the found logs or rejected with
+ * the same error the callback would receive.
+ *
+ * @param {*} id - Correlation id of the transaction.
+ * @param {Object[]} logTemplates - Templates (the same ones passed to waitForLogToExist) of each log of the
+ *   transaction (the correlation field does not need to be included).
+ * @param {Object} opts - The same options supported by waitForLogSequence, and also:
+ *          - exact: If true, the transaction must not have other logs than the ones matching the templates, so
+ *              an error (whose "unexpectedLogs" property has the rest of logs) is returned otherwise.
+ *          - isolated: If true, no logs of other transactions must have been received between the first and the
+ *              last found logs, so an error (whose "mixedLogs" property has those logs) is returned otherwise.
+ * @param {LogReader~foundLogsCallback} [cb] - Callback called with the found logs (in the order of the templates).
+ * @return {(Promise|?Object)} A promise resolved with the found logs (which can be cancelled through its cancel
+ *   method), if no callback is given, or the wait (see getPendingWaits) otherwise.
+ */
+LogReader.prototype.waitForTransaction = function waitForTransaction(id, logTemplates, opts, cb) {
+  if (!cb && opts instanceof Function) {
+    cb = opts;
+    opts = null;
+  }
+  var self = this;
+  if (!cb) {
+    return _toPromise(function(callback) {
+      return self.waitForTransaction(id, logTemplates, opts, callback);
+    });
+  }
+  opts = opts || {};
+  var correlationField = self._getCorrelationField();
+  var transactionTemplates = logTemplates.map(function(logTemplate) {
+    var transactionTemplate = {};
+    Object.keys(logTemplate || {}).forEach(function(fieldPath) {
+      transactionTemplate[fieldPath] = logTemplate[fieldPath];
+    });
+    transactionTemplate[correlationField] = id;
+    return transactionTemplate;
+  });
+
+  return self._waitForLogSequence('waitForTransaction', 'The transaction ' + util.inspect(id), transactionTemplates,
+      opts, function(err, foundLogs) {
+        if (err) {
+          return cb(err);
+        }
+        var checkErr = self._checkTransaction(id, foundLogs, opts);
+        if (checkErr) {
+          return cb(checkErr);
+        }
+        cb(null, foundLogs);
+      });
 };
 
 module.exports = LogReader;
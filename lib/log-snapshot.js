@@ -0,0 +1,245 @@
+/*
+
+ Copyright 2016 Telefonica Investigación y Desarrollo, S.A.U
+
+ This file is part of Tartare.
+
+ Tartare is free software: you can redistribute it and/or modify it under the
+ terms of the Apache License as published by the Apache Software Foundation,
+ either version 2.0 of the License, or (at your option) any later version.
+ Tartare is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ See the Apache License for more details.
+
+ You should have received a copy of the Apache License along with Tartare.
+ If not, see http://www.apache.org/licenses/LICENSE-2.0
+
+ For those usages not covered by the Apache License please contact with:
+ joseantonio.rodriguezfernandez@telefonica.com
+
+ */
+
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+
+/*
+ LOG-SNAPSHOT: Golden files with the logs captured in a test (as JSON Lines), to compare later runs against them
+ */
+
+var MASK = '<masked>';
+
+/**
+ * Set the value of a log field given its name or its dotted path, if the log has that field. As when matching
+ * templates, a field whose name includes dots takes precedence over the nested field with the same path.
+ * @param {Object} log
+ * @param {string} path
+ * @param {Function} fn - Function that receives the current value and returns the new one.
+ */
+function _updateField(log, path, fn) {
+  if (log instanceof Object && log.hasOwnProperty(path)) {
+    log[path] = fn(log[path]);
+    return;
+  }
+  var names = path.split('.');
+  var parent = log;
+  for (var i = 0; i < names.length - 1; i++) {
+    if (!(parent instanceof Object) || !parent.hasOwnProperty(names[i])) {
+      return;
+    }
+    parent = parent[names[i]];
+  }
+  var name = names[names.length - 1];
+  if (parent instanceof Object && parent.hasOwnProperty(name)) {
+    parent[name] = fn(parent[name]);
+  }
+}
+
+/**
+ * Serialize a value as JSON with the keys of objects sorted, so equal logs are always serialized the same way.
+ * @param {*} value
+ * @return {string}
+ */
+function _canonicalize(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(_canonicalize).join(',') + ']';
+  }
+  if (value instanceof Object) {
+    return '{' + Object.keys(value).sort().map(function(key) {
+      return JSON.stringify(key) + ':' + _canonicalize(value[key]);
+    }).join(',') + '}';
+  }
+  return (value === undefined) ? 'null' : JSON.stringify(value);
+}
+
+/**
+ * Normalize logs to be stored in (or compared against) a snapshot: logs are serialized as JSON (so dates become
+ * strings), and volatile fields are masked or normalized.
+ * @param {Object[]} logs
+ * @param {Object} [opts] - Supported values:
+ *          - mask: Array with the names (or dotted paths) of the fields whose values are replaced by '<masked>'.
+ *          - normalize: Object whose keys are field names (or dotted paths) and whose values are either a function
+ *              that receives the value of the field and returns the normalized one, or a RegExp whose matches in
+ *              the (stringified) value are replaced by '<masked>' (use the global flag to replace all of them).
+ * @return {Object[]} The normalized logs (the given logs are not modified).
+ */
+var normalize = function normalize(logs, opts) {
+  opts = opts || {};
+  var mask = opts.mask || [];
+  var normalizers = opts.normalize || {};
+  return logs.map(function(log) {
+    var normalizedLog = JSON.parse(JSON.stringify(log) || 'null');
+    mask.forEach(function(path) {
+      _updateField(normalizedLog, path, function() {
+        return MASK;
+      });
+    });
+    Object.keys(normalizers).forEach(function(path) {
+      var normalizer = normalizers[path];
+      _updateField(normalizedLog, path, function(value) {
+        return (normalizer instanceof RegExp) ? String(value).replace(normalizer, MASK) : normalizer(value);
+      });
+    });
+    return normalizedLog;
+  });
+};
+
+/**
+ * Read the logs stored in a snapshot file.
+ * @param {string} file
+ * @return {?Object[]} The logs, or null if the file does not exist.
+ */
+var read = function read(file) {
+  var data;
+  try {
+    data = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+  return data.split(/\r?\n/).filter(function(line) {
+    return line.trim() !== '';
+  }).map(function(line) {
+    return JSON.parse(line);
+  });
+};
+
+/**
+ * Write logs to a snapshot file, one log per line (JSON Lines).
+ * @param {string} file
+ * @param {Object[]} logs - Logs, already normalized.
+ */
+var write = function write(file, logs) {
+  fs.writeFileSync(file, logs.map(function(log) {
+    return JSON.stringify(log) + os.EOL;
+  }).join(''));
+};
+
+/**
+ * Compare two lists of logs in order, getting the lines of a diff based on their longest common subsequence.
+ * @param {string[]} expected - Serialized expected logs.
+ * @param {string[]} actual - Serialized actual logs.
+ * @return {Object[]} Each line of the diff is an object with its 'type' ('equal', 'missing' or 'unexpected') and
+ *   the serialized 'log'.
+ */
+function _diffOrdered(expected, actual) {
+  var i;
+  var j;
+  // lengths[i][j] is the length of the longest common subsequence of expected[i..] and actual[j..]
+  var lengths = [];
+  for (i = expected.length; i >= 0; i--) {
+    lengths[i] = [];
+    for (j = actual.length; j >= 0; j--) {
+      if (i === expected.length || j === actual.length) {
+        lengths[i][j] = 0;
+      } else if (expected[i] === actual[j]) {
+        lengths[i][j] = lengths[i + 1][j + 1] + 1;
+      } else {
+        lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+  }
+  var lines = [];
+  i = 0;
+  j = 0;
+  while (i < expected.length || j < actual.length) {
+    if (i < expected.length && j < actual.length && expected[i] === actual[j]) {
+      lines.push({type: 'equal', log: expected[i++]});
+      j++;
+    } else if (i < expected.length && (j === actual.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({type: 'missing', log: expected[i++]});
+    } else {
+      lines.push({type: 'unexpected', log: actual[j++]});
+    }
+  }
+  return lines;
+}
+
+/**
+ * Compare two lists of logs regardless of their order.
+ * @param {string[]} expected - Serialized expected logs.
+ * @param {string[]} actual - Serialized actual logs.
+ * @return {Object[]} The same lines returned by _diffOrdered, but the missing and unexpected logs go last.
+ */
+function _diffUnordered(expected, actual) {
+  var pending = actual.slice();
+  var lines = [];
+  var missing = [];
+  expected.forEach(function(log) {
+    var index = pending.indexOf(log);
+    if (index === -1) {
+      missing.push({type: 'missing', log: log});
+    } else {
+      pending.splice(index, 1);
+      lines.push({type: 'equal', log: log});
+    }
+  });
+  return lines.concat(missing, pending.map(function(log) {
+    return {type: 'unexpected', log: log};
+  }));
+}
+
+/**
+ * Compare the logs of a snapshot with the actual ones.
+ * @param {Object[]} expectedLogs - Logs of the snapshot.
+ * @param {Object[]} actualLogs - Actual logs, already normalized.
+ * @param {Object} [opts] - Supported values:
+ *          - ordered (defaults to true): Whether the logs must be in the same order as in the snapshot.
+ * @return {Object} An object with the 'equal' flag, the 'missing' and 'unexpected' logs, and the 'diff', a readable
+ *   description of the differences where missing logs are prefixed by '-' and unexpected logs by '+'.
+ */
+var compare = function compare(expectedLogs, actualLogs, opts) {
+  opts = opts || {};
+  var ordered = (opts.ordered === undefined) ? true : opts.ordered;
+  var lines = (ordered ? _diffOrdered : _diffUnordered)(expectedLogs.map(_canonicalize),
+      actualLogs.map(_canonicalize));
+  var prefixes = {equal: '  ', missing: '- ', unexpected: '+ '};
+  function _getLogs(type) {
+    return lines.filter(function(line) {
+      return line.type === type;
+    }).map(function(line) {
+      return JSON.parse(line.log);
+    });
+  }
+
+  var missing = _getLogs('missing');
+  var unexpected = _getLogs('unexpected');
+  return {
+    equal: !missing.length && !unexpected.length,
+    missing: missing,
+    unexpected: unexpected,
+    diff: lines.map(function(line) {
+      return prefixes[line.type] + line.log;
+    }).join(os.EOL)
+  };
+};
+
+module.exports = {
+  normalize: normalize,
+  read: read,
+  write: write,
+  compare: compare
+};
@@ -0,0 +1,353 @@
+/*
+
+ Copyright 2016 Telefonica Investigación y Desarrollo, S.A.U
+
+ This file is part of Tartare.
+
+ Tartare is free software: you can redistribute it and/or modify it under the
+ terms of the Apache License as published by the Apache Software Foundation,
+ either version 2.0 of the License, or (at your option) any later version.
+ Tartare is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ See the Apache License for more details.
+
+ You should have received a copy of the Apache License along with Tartare.
+ If not, see http://www.apache.org/licenses/LICENSE-2.0
+
+ For those usages not covered by the Apache License please contact with:
+ joseantonio.rodriguezfernandez@telefonica.com
+
+ */
+
+'use strict';
+
+var os = require('os');
+var util = require('util');
+
+/*
+ LOG-TEMPLATE: Matching of logs against templates, supporting dotted paths, operators ($gt, $in, $not, etc.),
+ predicate functions, array containment and deep equality
+ */
+
+function _hasOwnProperty(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function _isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  var proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Check whether a template value is an operator object, that is, a plain object whose keys are all operators
+ * (they start with '$').
+ * @param {*} value
+ * @return {boolean}
+ */
+function _isOperatorObject(value) {
+  if (!_isPlainObject(value)) {
+    return false;
+  }
+  var keys = Object.keys(value);
+  return keys.length > 0 && keys.every(function(key) {
+    return key.charAt(0) === '$';
+  });
+}
+
+/**
+ * Compare two values, recursively comparing the elements of arrays and the properties of plain objects.
+ * Dates are equal if they represent the same time.
+ * @param {*} a
+ * @param {*} b
+ * @return {boolean}
+ */
+function _deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every(function(element, index) {
+      return _deepEqual(element, b[index]);
+    });
+  }
+  if (_isPlainObject(a) && _isPlainObject(b)) {
+    var keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(function(key) {
+      return _hasOwnProperty(b, key) && _deepEqual(a[key], b[key]);
+    });
+  }
+  return false;
+}
+
+function _isComparable(value) {
+  return value !== null && value !== undefined;
+}
+
+// Each operator receives the log value, whether the field exists in the log and the operator argument
+var OPERATORS = {
+  $eq: function(value, exists, arg) {
+    return exists && _deepEqual(value, arg);
+  },
+  $ne: function(value, exists, arg) {
+    return !exists || !_deepEqual(value, arg);
+  },
+  $gt: function(value, exists, arg) {
+    return exists && _isComparable(value) && value > arg;
+  },
+  $gte: function(value, exists, arg) {
+    return exists && _isComparable(value) && value >= arg;
+  },
+  $lt: function(value, exists, arg) {
+    return exists && _isComparable(value) && value < arg;
+  },
+  $lte: function(value, exists, arg) {
+    return exists && _isComparable(value) && value <= arg;
+  },
+  $in: function(value, exists, arg) {
+    return exists && [].concat(arg).some(function(candidate) {
+      return _matchValue(value, true, candidate);
+    });
+  },
+  $nin: function(value, exists, arg) {
+    return !OPERATORS.$in(value, exists, arg);
+  },
+  $exists: function(value, exists, arg) {
+    return exists === Boolean(arg);
+  },
+  $not: function(value, exists, arg) {
+    return !_matchValue(value, exists, arg);
+  }
+};
+
+/**
+ * Get the value of a log field given its name or its dotted path (such as 'context.user.id'). A field whose name
+ * includes dots takes precedence over the nested field with the same path.
+ * @param {Object} log
+ * @param {string} path
+ * @return {Object} An object with the 'exists' flag and the 'value' of the field.
+ */
+function _getField(log, path) {
+  if (log instanceof Object && _hasOwnProperty(log, path)) {
+    return {exists: true, value: log[path]};
+  }
+  var value = log;
+  var names = path.split('.');
+  for (var i = 0; i < names.length; i++) {
+    if (!(value instanceof Object) || !_hasOwnProperty(value, names[i])) {
+      return {exists: false};
+    }
+    value = value[names[i]];
+  }
+  return {exists: true, value: value};
+}
+
+/**
+ * Check whether a log value matches the expected value of a template.
+ * @param {*} value - Log value.
+ * @param {boolean} exists - Whether the field exists in the log.
+ * @param {*} expected - Template value.
+ * @return {boolean}
+ */
+function _matchValue(value, exists, expected) {
+  if (expected === undefined) {
+    // Only check that the field exists
+    return exists;
+  }
+  if (_isOperatorObject(expected)) {
+    return Object.keys(expected).every(function(operator) {
+      if (!_hasOwnProperty(OPERATORS, operator)) {
+        throw new Error('Non supported template operator: ' + operator);
+      }
+      return OPERATORS[operator](value, exists, expected[operator]);
+    });
+  }
+  if (!exists) {
+    // If the log has not that field, then it does not match the template
+    return false;
+  }
+  if (expected instanceof RegExp) {
+    return String(value).match(expected) !== null;
+  }
+  if (expected instanceof Function) {
+    return Boolean(expected(value));
+  }
+  if (Array.isArray(expected)) {
+    // Every element of the template must match some element of the log array
+    return Array.isArray(value) && expected.every(function(expectedElement) {
+      return value.some(function(element) {
+        return _matchValue(element, true, expectedElement);
+      });
+    });
+  }
+  if (expected instanceof Object) {
+    return _deepEqual(value, expected);
+  }
+  return value === expected;
+}
+
+/**
+ * Check whether a log matches a template. The template is an object whose keys are field names or dotted paths
+ * to nested fields, and whose values can be:
+ *   - undefined: the field must exist, whatever its value is.
+ *   - A RegExp: the (stringified) value must match it.
+ *   - A function: it receives the value and must return a truthy value.
+ *   - An array: the value must be an array that contains elements matching each element of the template array.
+ *   - An object whose keys are operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists or $not (whose argument
+ *       is any template value).
+ *   - Any other object (such as plain objects or dates): the value must be deeply equal to it.
+ *   - Any other value: the value must be strictly equal to it.
+ * Fields not included in the template are irrelevant.
+ * @param {Object} log
+ * @param {?Object} template - If not given, any log matches.
+ * @return {boolean}
+ */
+var matches = function matches(log, template) {
+  if (!template) {
+    return true;  // Match any log
+  }
+  return Object.keys(template).every(function(path) {
+    var field = _getField(log, path);
+    return _matchValue(field.value, field.exists, template[path]);
+  });
+};
+
+/**
+ * Get the value of a log field given its name or its dotted path, as templates do.
+ * @param {Object} log
+ * @param {string} path
+ * @return {*} The value, or undefined if the log has not that field.
+ */
+var getValue = function getValue(log, path) {
+  return _getField(log, path).value;
+};
+
+/**
+ * Stringify a value in a single line, showing regular expressions and nested objects.
+ * @param {*} value
+ * @return {string}
+ */
+function _inspect(value) {
+  return util.inspect(value, {depth: null, breakLength: Infinity});
+}
+
+/**
+ * Get the differences between a log and a template, that is, the template fields that the log does not match.
+ * @param {Object} log
+ * @param {?Object} template
+ * @return {Object[]} Each difference is an object with the 'path' of the field, the 'reason' why it does not match
+ *   ('missing', 'mismatch', 'regexp', 'predicate' or 'operator'), the 'expected' template value and the 'actual' log
+ *   value (unless the field is missing).
+ */
+var diff = function diff(log, template) {
+  var differences = [];
+  Object.keys(template || {}).forEach(function(path) {
+    var field = _getField(log, path);
+    var expected = template[path];
+    if (_matchValue(field.value, field.exists, expected)) {
+      return;
+    }
+    var difference = {path: path, expected: expected};
+    if (field.exists) {
+      difference.actual = field.value;
+    }
+    if (_isOperatorObject(expected)) {
+      difference.reason = 'operator';
+    } else if (!field.exists) {
+      difference.reason = 'missing';
+    } else if (expected instanceof RegExp) {
+      difference.reason = 'regexp';
+    } else if (expected instanceof Function) {
+      difference.reason = 'predicate';
+    } else {
+      difference.reason = 'mismatch';
+    }
+    differences.push(difference);
+  });
+  return differences;
+};
+
+/**
+ * Add a log to a list of the closest logs to a template (see findClosest), keeping the given maximum. Logs must be
+ * added in the order they were received.
+ * @param {Object[]} closestLogs - Closest logs found so far, as returned by findClosest (it is modified).
+ * @param {Object} log
+ * @param {?Object} template
+ * @param {number} max - Maximum number of closest logs.
+ * @return {Object[]} The closest logs.
+ */
+var addClosest = function addClosest(closestLogs, log, template, max) {
+  var candidate = {log: log, differences: diff(log, template)};
+  // The log is more recent than the ones already added, so it goes before the equally close ones
+  var index = 0;
+  while (index < closestLogs.length && closestLogs[index].differences.length < candidate.differences.length) {
+    index++;
+  }
+  if (index < max) {
+    closestLogs.splice(index, 0, candidate);
+    closestLogs.length = Math.min(closestLogs.length, max);
+  }
+  return closestLogs;
+};
+
+/**
+ * Rank logs by how close they are to match a template, that is, by the number of template fields they do not match
+ * (the most recent logs go first when they are equally close).
+ * @param {Object[]} logs
+ * @param {?Object} template
+ * @param {number} max - Maximum number of logs to return.
+ * @return {Object[]} The closest logs, each one as an object with the 'log' and its 'differences' (see diff).
+ */
+var findClosest = function findClosest(logs, template, max) {
+  return logs.reduce(function(closestLogs, log) {
+    return addClosest(closestLogs, log, template, max);
+  }, []);
+};
+
+/**
+ * Describe the closest logs to a template, with the differences between each log and the template.
+ * @param {Object[]} closestLogs - Closest logs, as returned by findClosest.
+ * @param {?Object} template
+ * @return {string}
+ */
+var describeClosest = function describeClosest(closestLogs, template) {
+  var fieldCount = Object.keys(template || {}).length;
+  return closestLogs.map(function(candidate, index) {
+    return '#' + (index + 1) + ' (' + (fieldCount - candidate.differences.length) + ' of ' + fieldCount +
+        ' fields match): ' + _inspect(candidate.log) + candidate.differences.map(function(difference) {
+          var description;
+          switch (difference.reason) {
+            case 'missing':
+              description = 'missing field';
+              break;
+            case 'regexp':
+              description = _inspect(difference.actual) + ' does not match ' + _inspect(difference.expected);
+              break;
+            case 'predicate':
+              description = _inspect(difference.actual) + ' does not satisfy the predicate';
+              break;
+            case 'operator':
+              description = (('actual' in difference) ? _inspect(difference.actual) : 'missing field') +
+                  ' does not satisfy ' + _inspect(difference.expected);
+              break;
+            default:
+              description = 'expected ' + _inspect(difference.expected) + ', but got ' + _inspect(difference.actual);
+          }
+          return os.EOL + '    - ' + difference.path + ': ' + description;
+        }).join('');
+  }).join(os.EOL);
+};
+
+module.exports = {
+  matches: matches,
+  getValue: getValue,
+  diff: diff,
+  addClosest: addClosest,
+  findClosest: findClosest,
+  describeClosest: describeClosest
+};
@@ -27,18 +27,38 @@ var os = require('os');
 var fs = require('fs');
 var path = require('path');
 var Stream = require('stream');
+var glob = require('glob');
 var jsonValidator = require('is-my-json-valid');
+var kvParser = require('./kv-parser');
+var syslogParser = require('./syslog-parser');
+var accessLogParser = require('./access-log-parser');
+var fieldTypes = require('./field-types');
+var SyslogReceiver = require('./syslog-receiver');
+
+// Number of bytes at the beginning of a log file kept to tell it from a later file with the same inode
+var HEAD_SIZE = 128;
 
 /**
  * This class is a log watcher, that is, an object that is either watching a log file (waiting for changes on it)
  * or listening to 'data' events coming from a stream.
  * It is an event emitter, that emits 'log' events when new log entries are written to the file or the stream.
- * The 'log' event will convey an object with the parsed log entry. How this object is built depends on the
- * method used to parse log entries, which is given by the 'config' parameter.
- * It also emits 'error' events when some error happens.
+ * The 'log' event will convey an object with the parsed log entry, and the log entry itself (the raw text it comes
+ * from). How this object is built depends on the method used to parse log entries, which is given by the 'config'
+ * parameter.
+ * It also emits 'error' events when some error happens, and 'rotate' events when the log file is rotated (it is
+ * truncated, or replaced by a new file). The 'rotate' event conveys an object with the path of the rotated file
+ * ('file') and how the rotation has been detected ('reason', whose value is either 'truncate' or 'replace').
+ * When stopped, it emits an 'end' event once the data left has been read and emitted (see the stop method).
  *
- * @param {(String|Stream)} source - From which the logs will come (a string with the path to a file or
- *          a stream where the logs will be written).
+ * @param {(String|String[]|Stream|Object)} source - From which the logs will come (a string with the path to a file
+ *          or a glob pattern, an array of paths and glob patterns, a stream where the logs will be written,
+ *          an object with a 'streams' property whose value is an object with several named streams (such as
+ *          {streams: {stdout: child.stdout, stderr: child.stderr}}), or an object with a 'syslog' property
+ *          to receive logs through a local syslog server).
+ *          Files matching a glob pattern that are created after starting the watcher will also be watched.
+ *          The 'syslog' property is an object with the options of the syslog server: 'port' (defaults to 514),
+ *          'protocol' ('udp' or 'tcp', defaults to 'udp') and 'address' (defaults to '0.0.0.0'). When the server
+ *          is ready to receive logs, a 'listening' event is emitted conveying the address of the server.
  * @param {Object} config - Tell the watcher how to parse each log entry in order to build the object sent
  *          with each 'log' event. The following methods are supported:
  *            - RegExp: Each log entry is matched against a regular expression containing capturing groups.
@@ -49,10 +69,28 @@ var jsonValidator = require('is-my-json-valid');
  *            - JSON: Each log entry is parsed as a JSON document. To use this method include a 'json' property
  *                with a truthy value in the config object. Optionally, you can include a 'schema' property
  *                whose value is a JSON Schema that will be used to validate each log entry. This schema can be
- *                a JavaScript object or a String.
+ *                a JavaScript object or a String. If the JSON documents are pretty-printed (spanning several lines)
+ *                or several documents are written in the same line, include a 'streaming' property with a truthy
+ *                value, so complete documents are looked for regardless of the line breaks.
+ *            - Key/value: Each log entry is parsed as a list of key/value pairs (such as logfmt), in any order.
+ *                To use this method include a 'kv' property with a truthy value in the config object. Optionally,
+ *                you can include the following properties: 'fieldSeparator' (defaults to any sequence of
+ *                whitespaces), 'pairSeparator' (defaults to '='), 'quote' (defaults to '"') and 'escape'
+ *                (defaults to '\').
+ *            - Syslog: Each log entry is parsed as a syslog message (RFC 5424 or RFC 3164). To use this method
+ *                include a 'syslog' property with a truthy value in the config object.
+ *            - Access log: Each log entry is parsed as an HTTP access log entry, according to an Apache LogFormat
+ *                string or an nginx log_format string. To use this method include an 'accessLog' property with
+ *                the format string, or the name of a preset format ('common' or 'combined'), in the config object.
  *            - Custom: Each log entry is passed to a custom function. This function receives a String and returns
  *                an object with the parsed data (or null if the log entry cannot be parsed). To use this method
  *                include a 'fn' property with the custom function in the config object.
+ *          Whatever the method is, the config object can also include a 'types' property to convert the values
+ *          of the parsed fields. It is an object whose keys are field names and whose values are the type of each
+ *          field: 'string', 'number', 'integer', 'boolean', 'date' (parsed as ISO 8601 or any other format
+ *          supported by the Date constructor), 'json', an object like {type: 'date', format: '%d/%b/%Y:%H:%M:%S %z'}
+ *          to parse dates following a strftime-like format, or a custom function that receives the value and
+ *          returns the converted one. If a value cannot be converted, an 'error' event is emitted.
  * @param {Object} opts - Supported values:
  *          - autoStart: If true, the log watcher will start watching the log file
  *              or listening to the stream immediately.
@@ -64,10 +102,38 @@ var jsonValidator = require('is-my-json-valid');
  *              true, if a log entry does not match the pattern, it will be added to the previous log entry
  *              (useful to support logs with stacktraces, config object, and any other kind of dump). If this
  *              property is set to false, an 'error' event will be emitted if the log entry does not match
- *              the regular expression.
+ *              the regular expression. Field types are converted once the log is complete (after adding those
+ *              lines to its last field).
  *          - retainedLogTimeout (defaults to 300): Timeout (in ms) to emit a log that has been retained
  *              just in case it were not a complete log (because the last change in the log file or the stream
- *              could be part of this log). Only valid for the RegExp method.
+ *              could be part of this log). Only valid for the RegExp method or when the multiline option is set.
+ *          - multiline: Object to read log entries spanning several lines (such as logs with stacktraces), whatever
+ *              the parsing method is. It supports the following properties:
+ *                - start: RegExp that matches the first line of each log entry. Lines not matching it are
+ *                    continuation lines of the previous entry.
+ *                - continuation: RegExp that matches continuation lines (used if 'start' is not set).
+ *                - field: Name of the field where continuation lines will be added (defaults to the last field
+ *                    name for the RegExp method, and 'continuation' for the rest of methods).
+ *                - maxLines: Maximum number of lines of each log entry. Lines exceeding it are discarded.
+ *              Only the first line of each entry is parsed using the chosen method, and continuation lines are
+ *              added to the given field. An entry is complete when the next one starts, but the last one will be
+ *              retained until retainedLogTimeout expires.
+ *          - from (defaults to 'end'): Where to start reading the log file (when the source is a file), that can
+ *              be 'start' (the beginning of the file), 'end' (the current end of the file), a byte offset, or
+ *              a checkpoint object returned by the getPosition method. If the file has been rotated after the
+ *              checkpoint was taken, or it is shorter than the given offset, it is read from the beginning.
+ *              If the file does not exist yet, it will be read from the beginning when created.
+ *          - sourceField: Name of the field added to each log with the path of the file it comes from (by default,
+ *              'source' when watching several files, that is, when the source is an array or a glob pattern,
+ *              'stream' with the name of the stream when listening to named streams, and no field is added when
+ *              watching a single file or a stream).
+ *          - receivedAtField: Name of the field added to each log with the date when it was read (no field is added
+ *              by default).
+ *          - rawStreams: Names of the streams (when listening to named streams) whose log entries that cannot be
+ *              parsed are emitted as raw logs, with the whole log entry in the field given by the 'rawField' option,
+ *              instead of emitting errors (useful for the standard error of a process, where stack traces and other
+ *              messages not written by the logger can be found).
+ *          - rawField (defaults to 'msg'): Name of the field of the raw logs where the log entry is kept.
  * @class
  */
 var LogWatcher = function LogWatcher(source, config, opts) {
@@ -80,6 +146,14 @@ var LogWatcher = function LogWatcher(source, config, opts) {
     if (config.schema) {
       this._jsonValidate = jsonValidator(config.schema, {verbose: true});
     }
+  } else if (config.kv) {
+    this.method = 'kv';
+    this._kvOpts = kvParser.getOptions(config);
+  } else if (config.syslog) {
+    this.method = 'syslog';
+  } else if (config.accessLog) {
+    this.method = 'accessLog';
+    this._accessLogParser = accessLogParser.compile(config.accessLog);
   } else if (config.fn instanceof Function) {
     this.method = 'custom';
   } else if (util.isRegExp(config.pattern) && Array.isArray(config.fieldNames)) {
@@ -87,19 +161,53 @@ var LogWatcher = function LogWatcher(source, config, opts) {
   } else {
     throw new Error('LogWatcher: Non supported method');
   }
+  this._converters = fieldTypes.compile(config.types);
   this.opts = opts || {};
   this.opts.polling = this.opts.polling || false;
   this.opts.interval = this.opts.interval || 100;
   this.opts.allowPatternViolations = this.opts.allowPatternViolations || false;
   this.opts.retainedLogTimeout = this.opts.retainedLogTimeout || 300;
+  this.opts.multiline = this.opts.multiline || null;
+  if (this.opts.multiline) {
+    if (!util.isRegExp(this.opts.multiline.start) && !util.isRegExp(this.opts.multiline.continuation)) {
+      throw new Error('LogWatcher: Non supported multiline option');
+    }
+    this.opts.multiline.maxLines = this.opts.multiline.maxLines || Infinity;
+    if (!this.opts.multiline.field) {
+      this.opts.multiline.field = (this.method === 'regexp') ?
+          config.fieldNames[config.fieldNames.length - 1] : 'continuation';
+    }
+  }
+  this.opts.from = (this.opts.from === undefined) ? 'end' : this.opts.from;
+  if (!_isValidStartPosition(this.opts.from)) {
+    throw new Error('LogWatcher: Non supported start position');
+  }
+  this._multipleFiles = Array.isArray(source) || (typeof source === 'string' && glob.hasMagic(source));
+  if (this.opts.sourceField === undefined) {
+    if (this._multipleFiles) {
+      this.opts.sourceField = 'source';
+    } else if (source && source.streams) {
+      this.opts.sourceField = 'stream';
+    } else {
+      this.opts.sourceField = null;
+    }
+  }
+
+  this.opts.rawStreams = this.opts.rawStreams || [];
+  this.opts.rawField = this.opts.rawField || 'msg';
 
   this._started = false;
-  this._fileWatcher = null;
+  this._ready = false;
+  this._paused = false;
+  this._readyCallbacks = [];
+  this._fileWatchers = {};
   this._fileWatcherTimeoutId = null;
-  this._stream = null;
-  this._retainedLogTimeoutId = null;
-  this._partialData = '';
-  this._logs = [];
+  this._files = null;
+  this._checkLogFiles = null;
+  this._readInodes = {};
+  this._streamListeners = [];
+  this._syslogReceiver = null;
+  this._streamInputs = {};
 
   var autoStart = this.opts.autoStart || false;
   if (autoStart) {
@@ -109,129 +217,659 @@ var LogWatcher = function LogWatcher(source, config, opts) {
 util.inherits(LogWatcher, EventEmitter);
 
 /**
- * Start watching the log file or listening to the stream. If the log file is already been watching, it does nothing.
+ * Check whether the value of the 'from' option is valid.
+ * @param {*} from
+ * @return {boolean}
+ * @private
  */
-LogWatcher.prototype.start = function start() {
-  if (this._started) {
+function _isValidStartPosition(from) {
+  if (from === 'start' || from === 'end') {
+    return true;
+  }
+  if (typeof from === 'number') {
+    return from >= 0;
+  }
+  return [].concat(from).every(function(checkpoint) {
+    return (checkpoint !== null && typeof checkpoint === 'object' && typeof checkpoint.position === 'number');
+  });
+}
+
+/**
+ * @callback LogWatcher~genericCallback
+ * @param {?Error} err
+ */
+
+/**
+ * Start watching the log files or listening to the stream. If it is already watching or listening, it does nothing.
+ * A 'ready' event is emitted once it is actually watching or listening (that is, once the syslog server is
+ * listening when receiving logs through syslog, or right after starting for the rest of sources).
+ * @param {LogWatcher~genericCallback} [cb] - Callback called once the watcher is ready, or with an error if the
+ *   syslog server cannot listen or the watcher is stopped before being ready.
+ */
+LogWatcher.prototype.start = function start(cb) {
+  var self = this;
+
+  if (cb) {
+    if (self._ready) {
+      process.nextTick(cb);
+    } else {
+      self._readyCallbacks.push(cb);
+    }
+  }
+  if (self._started) {
     return;
   }
 
-  if (this.source instanceof Stream) {
-    this._startStreamListening(this.source);
+  if (self.source instanceof Stream) {
+    self._startStreamListening(self.source);
+  } else if (self.source && self.source.streams) {
+    Object.keys(self.source.streams).forEach(function(name) {
+      self._startStreamListening(self.source.streams[name], name);
+    });
+  } else if (self.source && self.source.syslog) {
+    self._startSyslogListening(self.source.syslog);
   } else {
-    this._startFileWatching(this.source);
+    self._startFileWatching(self.source);
   }
 
-  this._started = true;
+  self._started = true;
+  if (!self._syslogReceiver) {
+    // Files are already being watched, and streams listened to
+    process.nextTick(function() {
+      if (self._started && !self._ready) {
+        self._setReady(null);
+      }
+    });
+  }
 };
 
 /**
- * Start watching a log file.
+ * Set the watcher as ready (it is actually watching the log files or listening to the stream or the syslog server)
+ * emitting the 'ready' event, and call the pending callbacks passed to the start method.
+ * @param {?Error} err - Error that prevents the watcher from being ready, if any.
+ * @private
+ */
+LogWatcher.prototype._setReady = function _setReady(err) {
+  var callbacks = this._readyCallbacks;
+  this._readyCallbacks = [];
+  this._ready = !err;
+  if (this._ready) {
+    this.emit('ready');
+  }
+  callbacks.forEach(function(cb) {
+    cb(err);
+  });
+};
+
+/**
+ * Create the object that keeps the state of an input (a log file or a stream) while parsing its data.
+ * @param {?string} logFilePath - Path of the log file, or null for streams.
+ * @return {Object}
+ * @private
+ */
+function _createInput(logFilePath) {
+  return {
+    path: logFilePath,
+    fd: null,  // Descriptor of the file being read, kept open to be able to read it after being renamed or removed
+    ino: null,  // Inode of the file being read, used to detect when it is replaced by a new one
+    position: 0,  // Offset of the first byte not read yet
+    head: '',  // First bytes read (up to HEAD_SIZE, as hex), since inodes are reused once a file is removed
+    partialData: '',  // Last line read, when it is not complete yet
+    flushedPosition: null,  // Offset of the end of the last complete line, when the last line read has been flushed
+    logs: [],  // Parsed logs not emitted yet, as objects with the 'log' and the 'logEntry' it comes from
+    entryLines: [],  // Lines of the multiline entry being read
+    retainedLogTimeoutId: null
+  };
+}
+
+/**
+ * Get the file stats, or null if it does not exist, instead of throwing an error.
  * @param {string} logFilePath
+ * @return {?fs.Stats}
  * @private
  */
-LogWatcher.prototype._startFileWatching = function _startFileWatching(logFilePath) {
-  var self = this;
-  var prevSize;
+function _getFileStats(logFilePath) {
+  try {
+    return fs.statSync(logFilePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
 
-  // Get the file size, or null if it does not exist, instead of throwing an error
-  function _getFileSize(path_) {
-    try {
-      return fs.statSync(path_).size;
-    } catch (err) {
-      if (err.code === 'ENOENT') {
-        return null;
+/**
+ * Read the first bytes of an open file.
+ * @param {number} fd
+ * @param {number} length - Number of bytes to read.
+ * @return {string} The bytes read, as hex.
+ * @private
+ */
+function _readHead(fd, length) {
+  var buffer = new Buffer(length);
+  var bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+  return buffer.toString('hex', 0, bytesRead);
+}
+
+/**
+ * Check whether a file starts with the given bytes, that is, whether it is the file those bytes were read from
+ * (and not a new file that has got the same inode).
+ * @param {string} logFilePath
+ * @param {string} head - First bytes of the file, as hex (see _readHead).
+ * @return {boolean}
+ * @private
+ */
+function _startsWith(logFilePath, head) {
+  var fd;
+  try {
+    fd = fs.openSync(logFilePath, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return false;
+    }
+    throw err;
+  }
+  try {
+    return _readHead(fd, head.length / 2) === head;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Get the paths of the log files given by a list of paths and glob patterns. Paths that are not glob patterns
+ * are always returned, regardless of whether the file exists or not.
+ * @param {string[]} patterns
+ * @return {string[]}
+ * @private
+ */
+function _findLogFiles(patterns) {
+  var logFilePaths = [];
+  patterns.forEach(function(pattern) {
+    var paths = glob.hasMagic(pattern) ? glob.sync(pattern, {nodir: true}) : [pattern];
+    paths.forEach(function(logFilePath) {
+      if (logFilePaths.indexOf(logFilePath) === -1) {
+        logFilePaths.push(logFilePath);
       }
-      throw err;
+    });
+  });
+  return logFilePaths;
+}
+
+/**
+ * Get the directory where files matching a path or glob pattern will be created. That is, the directory containing
+ * the file for paths, or the longest directory without wildcards for glob patterns.
+ * @param {string} pattern
+ * @return {string}
+ * @private
+ */
+function _getBaseDir(pattern) {
+  if (!glob.hasMagic(pattern)) {
+    return path.dirname(pattern);
+  }
+  var segments = pattern.split('/');
+  var baseSegments = [];
+  for (var i = 0; i < segments.length - 1 && !glob.hasMagic(segments[i]); i++) {
+    baseSegments.push(segments[i]);
+  }
+  if (!baseSegments.length) {
+    return '.';
+  }
+  return baseSegments.join('/') || '/';
+}
+
+/**
+ * Get the directories to be watched to detect the files created that match a path or glob pattern: the base directory
+ * (see _getBaseDir) and, when the directory part of a glob pattern has wildcards, the existing directories matching
+ * any of its prefixes (so files created in subdirectories are found, and so are new subdirectories).
+ * @param {string} pattern
+ * @return {string[]}
+ * @private
+ */
+function _findDirsToWatch(pattern) {
+  var dirs = [_getBaseDir(pattern)];
+  var segments = path.dirname(pattern).split('/');
+  for (var i = 1; i <= segments.length; i++) {
+    var dirPattern = segments.slice(0, i).join('/');
+    if (glob.hasMagic(dirPattern)) {
+      // A trailing slash makes glob return only directories
+      glob.sync(dirPattern + '/').forEach(function(dir) {
+        dir = dir.replace(/\/$/, '') || '/';
+        if (dirs.indexOf(dir) === -1) {
+          dirs.push(dir);
+        }
+      });
     }
   }
+  return dirs;
+}
+
+/**
+ * Start watching the log files given by the source, which can be a path, a glob pattern, or an array of them.
+ * Glob patterns are expanded each time a change is detected (or on each poll), so files created after starting
+ * the watcher are also watched, being read from the beginning. When not polling, the directories where those files
+ * can be created are watched (see _findDirsToWatch), including the ones created afterwards.
+ * Log rotations are detected either because a file shrinks (it has been truncated, as in a copytruncate
+ * rotation) or because a different file (another inode) is found in the same path (the file has been renamed or
+ * removed, and then created again). In both cases a 'rotate' event is emitted and the new content is read
+ * from the beginning. Before switching to a new file, data written to the old one is read to the end.
+ * @param {(string|string[])} source
+ * @private
+ */
+LogWatcher.prototype._startFileWatching = function _startFileWatching(source) {
+  var self = this;
+  var patterns = [].concat(source);
+
+  // The state of a former file watching is discarded, because data partially read will be read again (if needed)
+  // according to the start position
+  self._files = {};
+  self._readInodes = {};
 
-  function _readLogFile(prevSize_, currSize_) {
-    if (prevSize_ >= currSize_) {
-      return;  // Nothing to read
+  function _checkLogFiles() {
+    if (self._paused) {
+      return;  // The data written in the meantime will be read when resuming
     }
+    if (!self.opts.polling) {
+      // Watch the subdirectories created in the meantime
+      _watchDirs();
+    }
+    // Look for new files matching the glob patterns
+    _findLogFiles(patterns).forEach(function(logFilePath) {
+      if (!self._files.hasOwnProperty(logFilePath)) {
+        self._files[logFilePath] = _createInput(logFilePath);
+        if (!self.opts.polling) {
+          self._watchDir(path.dirname(logFilePath), _checkLogFiles);
+        }
+      }
+    });
+    // It doesn't matter which file has changed, always try to read the new data of every log file
+    Object.keys(self._files).forEach(function(logFilePath) {
+      self._checkLogFile(self._files[logFilePath]);
+    });
+    self._forgetRemovedInodes();
+  }
 
-    // Read the new data just written to the file
-    var buffer = new Buffer(currSize_ - prevSize_);
-    var fd = fs.openSync(logFilePath, 'r');
-    fs.readSync(fd, buffer, 0, currSize_ - prevSize_, prevSize_);
-    fs.closeSync(fd);
+  function _pollFiles() {
+    _checkLogFiles();
+    // Schedule next poll
+    self._fileWatcherTimeoutId = setTimeout(_pollFiles, self.opts.interval);
+  }
+
+  function _watchDirs() {
+    patterns.forEach(function(pattern) {
+      _findDirsToWatch(pattern).forEach(function(dir, index) {
+        try {
+          self._watchDir(dir, _checkLogFiles);
+        } catch (err) {
+          // Subdirectories (but the base directory) could have been removed since they were found
+          if (index === 0 || err.code !== 'ENOENT') {
+            throw err;
+          }
+        }
+      });
+    });
+  }
+
+  self._checkLogFiles = _checkLogFiles;
+
+  // Log files already existing are read from the position given by the 'from' option
+  _findLogFiles(patterns).forEach(function(logFilePath) {
+    var file = self._files[logFilePath] = _createInput(logFilePath);
+    var stats = _getFileStats(logFilePath);
+    if (stats !== null) {
+      self._openLogFile(file, stats, self._getStartPosition(file, stats));
+    }
+  });
 
-    // Parse the new data to get the logs
-    self._parseLogData(buffer.toString());
+  if (!self.opts.polling) {
+    // Watch the directories instead of the log files to ensure we detect the file creation in case they do not exist
+    _watchDirs();
+    Object.keys(self._files).map(path.dirname).forEach(function(dir) {
+      self._watchDir(dir, _checkLogFiles);
+    });
   }
 
-  function _pollFile() {
-    var currSize = _getFileSize(logFilePath);
-    if (currSize !== null) {
-      _readLogFile(prevSize, currSize);
-      prevSize = currSize;
+  // The data already written is read once the caller has had the chance to listen to the emitted logs
+  var files = self._files;
+  process.nextTick(function() {
+    if (self._files !== files || !self._started) {
+      return;  // Stopped (and maybe restarted) in the meantime
     }
-    // Schedule next poll
-    self._fileWatcherTimeoutId = setTimeout(_pollFile, self.opts.interval);
-  }
-
-  // Try to get the initial log file size
-  prevSize = _getFileSize(logFilePath) || 0;
-
-  if (self.opts.polling) {
-    // Start polling
-    _pollFile();
-  } else {  // Not polling
-    // Watch the directory instead of the log file to ensure we detect the file creation in case it does not exist
-    self._fileWatcher = fs.watch(path.dirname(logFilePath), {persistent: false, recursive: false}, function() {
-      // It doesn't matter the event or the filename, always try to read the new log file data
-      var currSize = _getFileSize(logFilePath);
-      if (currSize !== null) {
-        _readLogFile(prevSize, currSize);
-        prevSize = currSize;
-      }
+    if (self.opts.polling) {
+      _pollFiles();
+    } else {
+      _checkLogFiles();
+    }
+  });
+};
+
+/**
+ * Watch a directory, unless it is already being watched.
+ * @param {string} dir
+ * @param {Function} listener - Function to be called when something changes in the directory.
+ * @private
+ */
+LogWatcher.prototype._watchDir = function _watchDir(dir, listener) {
+  if (!this._fileWatchers.hasOwnProperty(dir)) {
+    this._fileWatchers[dir] = fs.watch(dir, {persistent: false, recursive: false}, function() {
+      listener();
     });
   }
 };
 
 /**
- * Start listening to a stream.
- * @param {Stream} stream
+ * Open a log file to be read from the given position, unless it is already being read from another path
+ * (because it has been renamed and the new path also matches a glob pattern).
+ * @param {Object} file - State of the log file.
+ * @param {fs.Stats} stats - Stats of the log file.
+ * @param {number} position
+ * @return {boolean} Whether the file has been opened or not.
  * @private
  */
-LogWatcher.prototype._startStreamListening = function _startStreamListening(stream) {
-  this._stream = stream;
-  // Save the bound version of the listeners
-  this._onData = this._onData.bind(this);
-  this._onError = this._onError.bind(this);
-  // Add the bound listeners to the stream
-  this._stream.on('data', this._onData);
-  this._stream.on('error', this._onError);
+LogWatcher.prototype._openLogFile = function _openLogFile(file, stats, position) {
+  var self = this;
+  var isBeingRead = Object.keys(self._files).some(function(logFilePath) {
+    return self._files[logFilePath].fd !== null && self._files[logFilePath].ino === stats.ino;
+  });
+  if (isBeingRead) {
+    return false;  // It will be opened once the other path stops reading it
+  }
+
+  try {
+    file.fd = fs.openSync(file.path, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return false;  // The file has been removed since it was stat'ed. It will be opened when it comes back
+    }
+    throw err;
+  }
+  file.ino = stats.ino;
+  file.position = position;
+  file.head = _readHead(file.fd, Math.min(position, HEAD_SIZE));
+  file.flushedPosition = null;
+  delete self._readInodes[stats.ino];
+  return true;
+};
+
+/**
+ * Close a log file, keeping track of the position reached in case it is found later in another path.
+ * @param {Object} file - State of the log file.
+ * @private
+ */
+LogWatcher.prototype._closeLogFile = function _closeLogFile(file) {
+  fs.closeSync(file.fd);
+  this._readInodes[file.ino] = {position: file.position, head: file.head};
+  file.fd = null;
+};
+
+/**
+ * Forget the positions reached in the closed log files that are not found in any watched path anymore, since their
+ * inodes can be reused by new files.
+ * @private
+ */
+LogWatcher.prototype._forgetRemovedInodes = function _forgetRemovedInodes() {
+  var self = this;
+  var inodes = Object.keys(self._files).map(function(logFilePath) {
+    var stats = _getFileStats(logFilePath);
+    return stats && String(stats.ino);
+  });
+  Object.keys(self._readInodes).forEach(function(ino) {
+    if (inodes.indexOf(ino) === -1) {
+      delete self._readInodes[ino];
+    }
+  });
 };
 
-LogWatcher.prototype._onData = function _onData(chunk) {
+/**
+ * Read the data written to a log file since the last time it was read, detecting whether it has been rotated.
+ * @param {Object} file - State of the log file.
+ * @private
+ */
+LogWatcher.prototype._checkLogFile = function _checkLogFile(file) {
+  if (file.fd !== null) {
+    // Read the data written to the file being read, even though it could have been renamed or removed
+    var size = fs.fstatSync(file.fd).size;
+    if (size < file.position) {
+      // The file has been truncated. The data read from its former content are complete, so they are flushed
+      // instead of being merged with the new content, which is read again from the beginning
+      this._flushInput(file);
+      file.position = 0;
+      file.head = '';
+      file.flushedPosition = null;
+      this.emit('rotate', {file: file.path, reason: 'truncate'});
+    }
+    this._readLogFile(file, size);
+  }
+
+  var stats = _getFileStats(file.path);
+  if (stats === null || (file.fd !== null && stats.ino === file.ino)) {
+    return;  // The file does not exist (yet), or it is the one being read
+  }
+
+  // The file has been created, or a new file has replaced the one being read
+  var replaced = (file.fd !== null);
+  if (replaced) {
+    // The old file has already been read to the end, so the data read from it are complete
+    this._flushInput(file);
+    this._closeLogFile(file);
+  }
+  // If the file was being read from another path (it has been renamed), go on reading where it was left
+  var readInode = this._readInodes[stats.ino];
+  var position = 0;
+  if (readInode && readInode.position <= stats.size && _startsWith(file.path, readInode.head)) {
+    position = readInode.position;
+  }
+  if (this._openLogFile(file, stats, position)) {
+    if (replaced) {
+      this.emit('rotate', {file: file.path, reason: 'replace'});
+    }
+    this._readLogFile(file, fs.fstatSync(file.fd).size);
+  }
+};
+
+/**
+ * Read a log file from the current position up to the given size, and parse the read data.
+ * @param {Object} file - State of the log file.
+ * @param {number} size - Current size of the log file.
+ * @private
+ */
+LogWatcher.prototype._readLogFile = function _readLogFile(file, size) {
+  if (file.position >= size) {
+    return;  // Nothing to read
+  }
+
+  // Read the new data just written to the file
+  var buffer = new Buffer(size - file.position);
+  var bytesRead = fs.readSync(file.fd, buffer, 0, size - file.position, file.position);
+  file.position += bytesRead;
+  file.flushedPosition = null;
+  if (file.head.length < HEAD_SIZE * 2) {
+    file.head = _readHead(file.fd, Math.min(file.position, HEAD_SIZE));
+  }
+
   // Parse the new data to get the logs
-  this._parseLogData(chunk.toString());
+  this._parseLogData(buffer.toString('utf8', 0, bytesRead), file);
+};
+
+/**
+ * Get the position in a log file where reading should start, according to the 'from' option.
+ * @param {Object} file - State of the log file.
+ * @param {fs.Stats} stats - Stats of the log file.
+ * @return {number}
+ * @private
+ */
+LogWatcher.prototype._getStartPosition = function _getStartPosition(file, stats) {
+  var from = this.opts.from;
+  var position;
+
+  if (from === 'start') {
+    return 0;
+  }
+  if (from === 'end') {
+    return stats.size;
+  }
+  if (typeof from === 'number') {
+    position = from;
+  } else {  // Checkpoint (or list of checkpoints, when watching several files)
+    var checkpoint = Array.isArray(from) ? _findCheckpoint(from, file.path) : from;
+    if (!checkpoint || checkpoint.ino !== stats.ino ||
+        (checkpoint.head && !_startsWith(file.path, checkpoint.head))) {
+      return 0;  // The file has been created or replaced after taking the checkpoint (maybe reusing the inode)
+    }
+    position = checkpoint.position;
+  }
+  // If the file is shorter than the position, it has been truncated
+  return (position > stats.size) ? 0 : position;
+};
+
+/**
+ * Find the checkpoint of the given log file in a list of checkpoints.
+ * @param {Object[]} checkpoints
+ * @param {string} logFilePath
+ * @return {?Object}
+ * @private
+ */
+function _findCheckpoint(checkpoints, logFilePath) {
+  for (var i = 0; i < checkpoints.length; i++) {
+    if (checkpoints[i].file === logFilePath) {
+      return checkpoints[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Get a checkpoint with the current position in the log file, that can be passed as the 'from' option to
+ * another LogWatcher (or to this one, before starting it again) in order to resume reading where this one stopped.
+ * The position points to the end of the last complete line read, so a partially written line will be read again
+ * (even if it has been flushed when stopping the watcher).
+ * When watching several files (an array of paths or a glob pattern), an array with a checkpoint per file
+ * is returned instead.
+ * It can be invoked after stopping the watcher. It returns null if the source is not a file or if the watcher
+ * has never been started.
+ * @return {?(Object|Object[])} An object with the file path ('file'), its inode ('ino'), its first bytes as hex
+ *   ('head', to tell it from a later file with the same inode) and the position ('position'), or an array of
+ *   such objects.
+ */
+LogWatcher.prototype.getPosition = function getPosition() {
+  var self = this;
+  if (!self._files) {
+    return null;
+  }
+  var checkpoints = Object.keys(self._files).map(function(logFilePath) {
+    var file = self._files[logFilePath];
+    var position = (file.flushedPosition === null) ?
+        file.position - Buffer.byteLength(file.partialData) : file.flushedPosition;
+    return {
+      file: file.path,
+      ino: file.ino,
+      head: file.head,
+      position: Math.max(position, 0)
+    };
+  });
+  return self._multipleFiles ? checkpoints : checkpoints[0];
+};
+
+/**
+ * Start a local syslog server, and listen to the logs it receives.
+ * @param {Object} opts - Options of the syslog server.
+ * @private
+ */
+LogWatcher.prototype._startSyslogListening = function _startSyslogListening(opts) {
+  var self = this;
+  self._syslogReceiver = new SyslogReceiver(opts);
+  self._syslogReceiver.on('listening', function(address) {
+    self.emit('listening', address);
+    self._setReady(null);
+  });
+  self._syslogReceiver.on('error', function(err) {
+    if (!self._ready) {
+      self._setReady(err);
+    }
+  });
+  self._startStreamListening(self._syslogReceiver, null, true);
+  self._syslogReceiver.listen();
 };
 
-LogWatcher.prototype._onError = function _onError(err) {
-  this.emit('error', err);
+/**
+ * Start listening to a stream.
+ * @param {Stream} stream
+ * @param {?string} [name] - Name of the stream, when listening to named streams.
+ * @param {boolean} [wholeEntries] - Whether each chunk of the stream is a complete log entry (even if it includes
+ *   line breaks), as the syslog receiver writes them.
+ * @private
+ */
+LogWatcher.prototype._startStreamListening = function _startStreamListening(stream, name, wholeEntries) {
+  var self = this;
+  var key = name || '';
+  if (!self._streamInputs.hasOwnProperty(key)) {
+    // Keep the state of each stream between restarts
+    self._streamInputs[key] = _createInput(name || null);
+  }
+  var input = self._streamInputs[key];
+  var listener = {
+    stream: stream,
+    onData: function onData(chunk) {
+      // Parse the new data to get the logs
+      if (wholeEntries) {
+        self._parseLogEntries([chunk.toString()], input);
+      } else {
+        self._parseLogData(chunk.toString(), input);
+      }
+    },
+    onError: function onError(err) {
+      self.emit('error', err);
+    }
+  };
+  stream.on('data', listener.onData);
+  stream.on('error', listener.onError);
+  self._streamListeners.push(listener);
 };
 
 /**
  * Parse the logs read from a file or a stream, and emit the corresponding events.
  * @param {string} data - Chunk coming from the log file or stream.
+ * @param {Object} input - State of the log file or stream the data come from.
  * @private
  */
-LogWatcher.prototype._parseLogData = function _parseLogs(data) {
+LogWatcher.prototype._parseLogData = function _parseLogs(data, input) {
   var self = this;
 
   // There are new data. Clear the retained log timeout, because the retained log will be pushed by the new data
-  clearTimeout(self._retainedLogTimeoutId);
+  clearTimeout(input.retainedLogTimeoutId);
+
+  if (self.method === 'json' && self.config.streaming) {
+    self._parseJsonDocuments(input.partialData + data, input);
+    return;
+  }
 
   // Parse the new data to get the logs
-  data = self._partialData + data;
-  self._partialData = '';
+  data = input.partialData + data;
+  input.partialData = '';
   var lines = data.split(os.EOL);
   if (data.slice(-1) !== os.EOL) {
     // If it does not ends with EOL, store the partial line to be merged with the next chunk
-    self._partialData = lines.pop();
+    input.partialData = lines.pop();
+  }
+  self._parseLogEntries(lines, input);
+};
+
+/**
+ * Parse complete log entries (usually lines) read from a file or a stream, and emit the corresponding events.
+ * @param {string[]} lines - Log entries coming from the log file or stream.
+ * @param {Object} input - State of the log file or stream the entries come from.
+ * @private
+ */
+LogWatcher.prototype._parseLogEntries = function _parseLogEntries(lines, input) {
+  var self = this;
+
+  // The retained log will be pushed by the new entries
+  clearTimeout(input.retainedLogTimeoutId);
+
+  if (self.opts.multiline) {
+    self._parseMultilineEntries(lines, input);
+    return;
   }
   lines.forEach(function(line) {
     if (line.trim() === '') {
@@ -243,59 +881,276 @@ LogWatcher.prototype._parseLogData = function _parseLogs(data) {
       log = self._parseLogEntry(line);
     } catch (err) {
       // In case the log entry cannot be parsed
-      if (self.method === 'regexp' && self.opts.allowPatternViolations && self._logs.length) {
+      if (self.method === 'regexp' && self.opts.allowPatternViolations && input.logs.length &&
+          !input.logs[input.logs.length - 1].raw) {
         // When using the RegExp method, if the previous line is a valid log and pattern violations are allowed,
         // add the current line to the last field of the last log that matched the pattern
-        self._logs[self._logs.length - 1][self.config.fieldNames[self.config.fieldNames.length - 1]] += os.EOL + line;
+        var lastLog = input.logs[input.logs.length - 1];
+        lastLog.log[self.config.fieldNames[self.config.fieldNames.length - 1]] += os.EOL + line;
+        lastLog.logEntry += os.EOL + line;
       } else {
         // When using another method, or using the RegExp method but pattern violations are not allowed or
         // there are not any log matching the pattern yet, emit an error
-        var parseErr = new Error('LogWatcher: log line cannot be parsed: ' + line);
-        parseErr.details = {message: err.message};
-        for (var errProperty in err) {
-          if (err.hasOwnProperty(errProperty)) {
-            parseErr.details[errProperty] = err[errProperty];
-          }
-        }
-        self.emit('error', parseErr);
+        self._emitParseError(line, err, input);
       }
       return;  // Go for the next line
     }
 
-    // Add the a new log to the log list
-    self._logs.push(log);
+    // Add the a new log to the log list. It is completed when emitted, since lines not matching the pattern could
+    // be added to it yet
+    input.logs.push({log: log, logEntry: line});
   });
 
-  // Emit the logs
+  // Emit the logs, emptying the logs buffer first (completing a log can emit a raw log instead of an error, which
+  // would be added to the buffer if it were not empty)
+  var parsedLogs = input.logs;
+  input.logs = [];
   if (self.method === 'regexp') {
     // Emit logs applying the retention policy
-    self._logs.forEach(function(log, index) {
-      if (index < self._logs.length - 1) {
+    parsedLogs.forEach(function(parsedLog, index) {
+      if (index < parsedLogs.length - 1) {
         // Emit logs except for the last one. The last one will be retained just in case it is an incomplete log
         // (although it matches the pattern) that will be completed by upcoming log lines.
-        self.emit('log', log);
+        self._emitParsedLog(parsedLog, input);
       } else {
-        // This log will be retained.
+        // This log will be retained, so the logs buffer keeps it.
         // Set a timeout in order to emit the retained log after some time, to avoid infinitely retain a log
         // because it could be the last log.
-        self._retainedLogTimeoutId = setTimeout(function(retainedLog) {
-          self.emit('log', retainedLog);
-          self._logs = [];
-        }, self.opts.retainedLogTimeout, log);
+        input.logs = [parsedLog];
+        input.retainedLogTimeoutId = setTimeout(function(retainedLog) {
+          input.logs = [];
+          self._emitParsedLog(retainedLog, input);
+        }, self.opts.retainedLogTimeout, parsedLog);
       }
     });
-    // The logs buffer keep the last log (the retained one)
-    self._logs = self._logs.slice(-1);
   } else {
     // Emit all the logs
-    self._logs.forEach(function(log) {
-      self.emit('log', log);
+    parsedLogs.forEach(function(parsedLog) {
+      self._emitParsedLog(parsedLog, input);
     });
-    // Empty the logs buffer
-    self._logs = [];
   }
 };
 
+/**
+ * Complete a log taken from the logs buffer of an input (see _completeLog), and emit it.
+ * @param {Object} parsedLog - Object with the parsed log ('log') and its log entry ('logEntry').
+ * @param {Object} input - State of the log file or stream the log comes from.
+ * @private
+ */
+LogWatcher.prototype._emitParsedLog = function _emitParsedLog(parsedLog, input) {
+  // Raw logs (see _emitParseError) are already complete
+  if (parsedLog.raw || this._completeLog(parsedLog.log, parsedLog.logEntry, input)) {
+    this.emit('log', parsedLog.log, parsedLog.logEntry);
+  }
+};
+
+/**
+ * Look for complete top-level JSON documents (objects or arrays) in the data read from a log file or stream,
+ * no matter where the line breaks are, and emit them. Data that are not part of a document emit an error
+ * (one per line), and data from an incomplete document are kept to be merged with the next chunk.
+ * @param {string} data - Data read from the log file or stream, including the incomplete data from the last chunk.
+ * @param {Object} input - State of the log file or stream the data come from.
+ * @private
+ */
+LogWatcher.prototype._parseJsonDocuments = function _parseJsonDocuments(data, input) {
+  var self = this;
+  var depth = 0;
+  var inString = false;
+  var escaped = false;
+  var docStart = -1;
+  var garbageStart = -1;
+  var consumed = 0;  // Offset of the first character not processed yet
+
+  function _emitGarbage(end) {
+    if (garbageStart !== -1) {
+      var err = new Error('Log is not a JSON document');
+      err.logEntry = data.slice(garbageStart, end).trim();
+      self._emitParseError(err.logEntry, err, input);
+      garbageStart = -1;
+    }
+    consumed = end;
+  }
+
+  for (var i = 0; i < data.length; i++) {
+    var chr = data.charAt(i);
+    if (depth === 0) {
+      // Outside of a document
+      if (chr === '{' || chr === '[') {
+        _emitGarbage(i);
+        docStart = i;
+        depth = 1;
+      } else if (chr === '\n' || chr === '\r') {
+        _emitGarbage(i + 1);
+      } else if (garbageStart === -1 && /\S/.test(chr)) {
+        garbageStart = i;
+      }
+    } else if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (chr === '\\') {
+        escaped = true;
+      } else if (chr === '"') {
+        inString = false;
+      }
+    } else if (chr === '"') {
+      inString = true;
+    } else if (chr === '{' || chr === '[') {
+      depth++;
+    } else if (chr === '}' || chr === ']') {
+      depth--;
+      if (depth === 0) {
+        // A complete document has been found
+        var doc = data.slice(docStart, i + 1);
+        consumed = i + 1;
+        var log;
+        try {
+          log = self._parseLogEntry(doc);
+        } catch (err) {
+          self._emitParseError(doc, err, input);
+          continue;
+        }
+        if (self._completeLog(log, doc, input)) {
+          self.emit('log', log, doc);
+        }
+      }
+    }
+  }
+
+  // Keep the incomplete document (or the data that could be the beginning of a document)
+  input.partialData = (depth === 0 && garbageStart === -1) ? '' : data.slice(consumed);
+};
+
+/**
+ * Group lines into multiline log entries, according to the multiline option, and emit the complete ones.
+ * The last entry is retained, because upcoming lines could be part of it.
+ * @param {string[]} lines - New lines read from the log file or stream.
+ * @param {Object} input - State of the log file or stream the lines come from.
+ * @private
+ */
+LogWatcher.prototype._parseMultilineEntries = function _parseMultilineEntries(lines, input) {
+  var self = this;
+  var multiline = self.opts.multiline;
+
+  lines.forEach(function(line) {
+    if (line.trim() === '') {
+      return;
+    }
+    var isContinuation = multiline.start ? !multiline.start.test(line) : multiline.continuation.test(line);
+    if (isContinuation && input.entryLines.length) {
+      if (input.entryLines.length < multiline.maxLines) {
+        input.entryLines.push(line);
+      }
+      return;
+    }
+    // A new entry starts, so the previous one is complete
+    self._emitMultilineEntry(input);
+    input.entryLines = [line];
+  });
+
+  if (input.entryLines.length) {
+    // Set a timeout in order to emit the retained entry after some time, because it could be the last one
+    input.retainedLogTimeoutId = setTimeout(function() {
+      self._emitMultilineEntry(input);
+    }, self.opts.retainedLogTimeout);
+  }
+};
+
+/**
+ * Parse the multiline entry being read from the given input, and emit it.
+ * @param {Object} input - State of the log file or stream.
+ * @private
+ */
+LogWatcher.prototype._emitMultilineEntry = function _emitMultilineEntry(input) {
+  var entryLines = input.entryLines;
+  if (!entryLines.length) {
+    return;
+  }
+  input.entryLines = [];
+
+  var logEntry = entryLines.join(os.EOL);
+  var log;
+  try {
+    log = this._parseLogEntry(entryLines[0]);
+  } catch (err) {
+    this._emitParseError(logEntry, err, input);
+    return;
+  }
+  if (entryLines.length > 1 && log instanceof Object) {
+    var fieldName = this.opts.multiline.field;
+    var continuation = entryLines.slice(1).join(os.EOL);
+    log[fieldName] = (typeof log[fieldName] === 'string') ? log[fieldName] + os.EOL + continuation : continuation;
+  }
+  if (this._completeLog(log, logEntry, input)) {
+    this.emit('log', log, logEntry);
+  }
+};
+
+/**
+ * Complete a parsed log, converting the values of the fields whose type has been configured and tagging it with
+ * the file it comes from. If some value cannot be converted, an error event is emitted.
+ * @param {Object} log - Parsed log.
+ * @param {string} logEntry - The log entry the log comes from.
+ * @param {Object} input - State of the log file or stream the log comes from.
+ * @return {boolean} Whether the log is valid or not.
+ * @private
+ */
+LogWatcher.prototype._completeLog = function _completeLog(log, logEntry, input) {
+  try {
+    fieldTypes.convert(log, this._converters);
+  } catch (err) {
+    this._emitParseError(logEntry, err, input);
+    return false;
+  }
+  this._tagLog(log, input);
+  return true;
+};
+
+/**
+ * Tag a log with the file or stream it comes from and the date when it was read, according to the options.
+ * @param {Object} log
+ * @param {Object} input - State of the log file or stream the log comes from.
+ * @private
+ */
+LogWatcher.prototype._tagLog = function _tagLog(log, input) {
+  if (this.opts.sourceField && input.path !== null && log instanceof Object) {
+    log[this.opts.sourceField] = input.path;
+  }
+  if (this.opts.receivedAtField && log instanceof Object) {
+    log[this.opts.receivedAtField] = new Date();
+  }
+};
+
+/**
+ * Emit an error event because a log entry cannot be parsed, unless it comes from a stream whose entries can be raw
+ * (see the 'rawStreams' option), in which case a raw log is emitted instead.
+ * @param {string} logEntry - The log entry that cannot be parsed.
+ * @param {Error} err - The error thrown when parsing the log entry.
+ * @param {Object} input - State of the log file or stream the log entry comes from.
+ * @private
+ */
+LogWatcher.prototype._emitParseError = function _emitParseError(logEntry, err, input) {
+  if (input.fd === null && this.opts.rawStreams.indexOf(input.path) !== -1) {
+    var log = {};
+    log[this.opts.rawField] = logEntry;
+    this._tagLog(log, input);
+    if (input.logs.length) {
+      // Keep the order of the logs retained (or not emitted yet) from the same stream
+      input.logs.push({log: log, logEntry: logEntry, raw: true});
+    } else {
+      this.emit('log', log, logEntry);
+    }
+    return;
+  }
+  var parseErr = new Error('LogWatcher: log line cannot be parsed: ' + logEntry);
+  parseErr.details = {message: err.message};
+  for (var errProperty in err) {
+    if (err.hasOwnProperty(errProperty)) {
+      parseErr.details[errProperty] = err[errProperty];
+    }
+  }
+  this.emit('error', parseErr);
+};
+
 /**
  * Parse a log entry (a line) and return an object with the log data.
  * @param {string} logEntry - A log entry to be parsed.
@@ -345,6 +1200,18 @@ LogWatcher.prototype._parseLogEntry = function _parseLogEntry(logEntry) {
       }
       break;
 
+    case 'kv':
+      log = kvParser.parse(logEntry, this._kvOpts);
+      break;
+
+    case 'syslog':
+      log = syslogParser.parse(logEntry);
+      break;
+
+    case 'accessLog':
+      log = accessLogParser.parse(logEntry, this._accessLogParser);
+      break;
+
     case 'custom':
       log = this.config.fn(logEntry);
       break;
@@ -357,24 +1224,195 @@ LogWatcher.prototype._parseLogEntry = function _parseLogEntry(logEntry) {
 };
 
 /**
- * Stop watching the log file or listening to the stream.
+ * Read the data left in the log files being read, and the data buffered by the streams while paused.
+ * @private
  */
-LogWatcher.prototype.stop = function stop() {
-  if (this._fileWatcher) {
-    this._fileWatcher.close();
-    this._fileWatcher = null;
+LogWatcher.prototype._readLeftData = function _readLeftData() {
+  var self = this;
+  var files = self._files || {};
+  Object.keys(files).forEach(function(logFilePath) {
+    var file = files[logFilePath];
+    if (file.fd !== null) {
+      self._readLogFile(file, fs.fstatSync(file.fd).size);
+    }
+  });
+  if (self._paused) {
+    self._streamListeners.forEach(function(listener) {
+      if (listener.stream.read instanceof Function) {
+        // Reading a paused stream emits 'data' events with the buffered data
+        var chunk = listener.stream.read();
+        while (chunk !== null) {
+          chunk = listener.stream.read();
+        }
+      }
+    });
   }
-  if (this._fileWatcherTimeoutId) {
-    clearTimeout(this._fileWatcherTimeoutId);
-    this._fileWatcherTimeoutId = null;
+};
+
+/**
+ * Pause watching the log files or listening to the streams, keeping the read position, so no more data are read
+ * until the watcher is resumed. Then, the data written in the meantime are read (streams buffer them meanwhile).
+ * Note that logs already read, but retained, can still be emitted while paused.
+ */
+LogWatcher.prototype.pause = function pause() {
+  if (!this._started || this._paused) {
+    return;
   }
-  if (this._stream) {
-    // Remove the bound listeners
-    this._stream.removeListener('data', this._onData);
-    this._stream.removeListener('error', this._onError);
-    this._stream = null;
+  this._paused = true;
+  this._streamListeners.forEach(function(listener) {
+    if (listener.stream.pause instanceof Function) {
+      listener.stream.pause();
+    }
+  });
+};
+
+/**
+ * Resume watching the log files or listening to the streams after being paused, reading the data written since then.
+ */
+LogWatcher.prototype.resume = function resume() {
+  if (!this._started || !this._paused) {
+    return;
+  }
+  this._paused = false;
+  this._streamListeners.forEach(function(listener) {
+    if (listener.stream.resume instanceof Function) {
+      listener.stream.resume();
+    }
+  });
+  if (this._checkLogFiles) {
+    this._checkLogFiles();
+  }
+};
+
+/**
+ * Get the state of every log file and stream being read.
+ * @return {Object[]}
+ * @private
+ */
+LogWatcher.prototype._getInputs = function _getInputs() {
+  var self = this;
+  var files = self._files || {};
+  return Object.keys(files).map(function(logFilePath) {
+    return files[logFilePath];
+  }).concat(Object.keys(self._streamInputs).map(function(key) {
+    return self._streamInputs[key];
+  }));
+};
+
+/**
+ * Emit right away the logs retained because upcoming data could complete them, and the last line read when it does
+ * not end with EOL (as logs, or as errors if they cannot be parsed). Use it when no more data are going to be
+ * written, such as when the process writing the logs has exited, since the data written afterwards would be
+ * parsed on their own.
+ */
+LogWatcher.prototype.flush = function flush() {
+  var self = this;
+  self._getInputs().forEach(function(input) {
+    self._flushInput(input);
+  });
+};
+
+/**
+ * Emit the retained logs and the last line read from a log file or stream (see the flush method).
+ * @param {Object} input - State of the log file or stream.
+ * @private
+ */
+LogWatcher.prototype._flushInput = function _flushInput(input) {
+  var self = this;
+  clearTimeout(input.retainedLogTimeoutId);
+  input.retainedLogTimeoutId = null;
+  var partialData = input.partialData;
+  input.partialData = '';
+  if (input.fd !== null && partialData !== '') {
+    // Checkpoints still point to the beginning of the partial line, since it could be completed later
+    input.flushedPosition = input.position - Buffer.byteLength(partialData);
+  }
+  if (partialData.trim() !== '') {
+    if (self.method === 'json' && self.config.streaming) {
+      var err = new Error('Incomplete JSON document');
+      err.logEntry = partialData.trim();
+      self._emitParseError(err.logEntry, err, input);
+    } else {
+      // The last line is complete, since no more data will be read
+      self._parseLogData(partialData + os.EOL, input);
+      clearTimeout(input.retainedLogTimeoutId);
+      input.retainedLogTimeoutId = null;
+    }
+  }
+  if (self.opts.multiline) {
+    self._emitMultilineEntry(input);
+  } else {
+    var parsedLogs = input.logs;
+    input.logs = [];
+    parsedLogs.forEach(function(parsedLog) {
+      self._emitParsedLog(parsedLog, input);
+    });
+  }
+};
+
+/**
+ * Stop watching the log files or listening to the stream. Before that, the data left in the log files (and the data
+ * buffered by the streams while paused) are read, and the retained and partial data are flushed (see the flush
+ * method), emitting an 'end' event afterwards. Note that 'error' events can be emitted synchronously (when the data
+ * flushed cannot be parsed), so listen to them before stopping the watcher. Streams paused by the watcher are resumed.
+ * @param {LogWatcher~genericCallback} [cb] - Callback called once the watcher is stopped (that is, once the
+ *   syslog server is closed when receiving logs through syslog).
+ */
+LogWatcher.prototype.stop = function stop(cb) {
+  var self = this;
+  var syslogReceiver = self._syslogReceiver;
+  var started = self._started;
+
+  if (started) {
+    self._readLeftData();
+    self.flush();
+  }
+  Object.keys(self._fileWatchers).forEach(function(dir) {
+    self._fileWatchers[dir].close();
+  });
+  self._fileWatchers = {};
+  if (self._fileWatcherTimeoutId) {
+    clearTimeout(self._fileWatcherTimeoutId);
+    self._fileWatcherTimeoutId = null;
+  }
+  if (self._files) {
+    // Keep the state of the files (but the descriptors) to be able to get the position after stopping
+    Object.keys(self._files).forEach(function(logFilePath) {
+      if (self._files[logFilePath].fd !== null) {
+        self._closeLogFile(self._files[logFilePath]);
+      }
+    });
+  }
+  self._streamListeners.forEach(function(listener) {
+    if (self._paused && listener.stream.resume instanceof Function) {
+      // Do not leave the stream paused for good, since it belongs to the caller
+      listener.stream.resume();
+    }
+    listener.stream.removeListener('data', listener.onData);
+    listener.stream.removeListener('error', listener.onError);
+  });
+  self._streamListeners = [];
+  if (syslogReceiver) {
+    syslogReceiver.removeAllListeners('listening');
+    syslogReceiver.removeAllListeners('error');
+    self._syslogReceiver = null;
+  }
+  self._checkLogFiles = null;
+  self._started = false;
+  self._ready = false;
+  self._paused = false;
+  if (self._readyCallbacks.length) {
+    self._setReady(new Error('LogWatcher: Stopped before being ready'));
+  }
+  if (started) {
+    self.emit('end');
+  }
+
+  if (syslogReceiver) {
+    syslogReceiver.close(cb);
+  } else if (cb) {
+    process.nextTick(cb);
   }
-  this._started = false;
 };
 
 module.exports = LogWatcher;
@@ -0,0 +1,214 @@
+/*
+
+ Copyright 2016 Telefonica Investigación y Desarrollo, S.A.U
+
+ This file is part of Tartare.
+
+ Tartare is free software: you can redistribute it and/or modify it under the
+ terms of the Apache License as published by the Apache Software Foundation,
+ either version 2.0 of the License, or (at your option) any later version.
+ Tartare is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ See the Apache License for more details.
+
+ You should have received a copy of the Apache License along with Tartare.
+ If not, see http://www.apache.org/licenses/LICENSE-2.0
+
+ For those usages not covered by the Apache License please contact with:
+ joseantonio.rodriguezfernandez@telefonica.com
+
+ */
+
+'use strict';
+
+var os = require('os');
+var util = require('util');
+var spawn = require('child_process').spawn;
+var LogReader = require('./log-reader');
+
+/**
+ * This class is a LogReader that spawns a process (such as the system under test) and reads the logs it writes
+ * to its standard output and standard error. Each log is tagged with the stream it comes from, in the 'stream' field
+ * (unless another field is given through the 'sourceField' option), whose value is either 'stdout' or 'stderr'.
+ * Lines written to the standard error that cannot be parsed (such as stack traces) are stored as raw logs instead of
+ * errors (see the 'rawStreams' option of the LogWatcher, which defaults to ['stderr']).
+ * If the process exits (or cannot be spawned), pending waits fail with an error whose 'exitCode', 'signal' and
+ * 'stderrTail' properties tell how the process has exited and what were the last lines written to its standard
+ * error, and so do the waits started afterwards (even if some log could not be parsed).
+ *
+ * @param {string} command - Command to be run.
+ * @param {string[]} [args] - Arguments of the command.
+ * @param {Object} config - Tell the LogWatcher how to parse each log entry.
+ * @param {Object} [opts] - Options of the LogReader (and the LogWatcher), which can also include the following:
+ *          - spawn: Options used to spawn the process (such as 'cwd' or 'env'), as supported by Node.js.
+ *          - ready: Template of the log written by the process when it is ready. If given, the start method
+ *              does not finish until a log matching it is found (or the process exits).
+ *          - readyTimeout (defaults to 3000): Maximum time (in ms) to wait for the ready log.
+ *          - killSignal (defaults to 'SIGTERM'): Signal sent to the process when the reader is stopped.
+ *          - killTimeout (defaults to 1000): Time (in ms) to wait for the process to exit after sending the kill
+ *              signal, before killing it with SIGKILL (for processes that ignore the kill signal).
+ *          - stderrTailLines (defaults to 10): Number of lines of the standard error included in the errors
+ *              reported when the process exits.
+ * @class
+ */
+var ProcessLogReader = function ProcessLogReader(command, args, config, opts) {
+  opts = opts || {};
+  opts.rawStreams = opts.rawStreams || ['stderr'];
+  // The streams are set every time the process is spawned
+  this._streams = {};
+  LogReader.call(this, {streams: this._streams}, config, opts);
+  this.command = command;
+  this.args = args || [];
+  this.opts = opts;
+  this.opts.readyTimeout = this.opts.readyTimeout || 3000;
+  this.opts.killSignal = this.opts.killSignal || 'SIGTERM';
+  this.opts.killTimeout = this.opts.killTimeout || 1000;
+  this.opts.stderrTailLines = this.opts.stderrTailLines || 10;
+  this.process = null;
+  this._stderrTail = '';
+  this._exitError = null;
+};
+util.inherits(ProcessLogReader, LogReader);
+
+/**
+ * Build the error that reports that the process has exited.
+ * @param {?number} exitCode
+ * @param {?string} signal
+ * @param {string} stderrTail
+ * @return {Error}
+ */
+function _getExitError(exitCode, signal, stderrTail) {
+  var err = new Error('ProcessLogReader: The process has ' +
+      (signal ? 'been killed with signal ' + signal : 'exited with code ' + exitCode) +
+      (stderrTail ? '. Last lines written to stderr:' + os.EOL + stderrTail : ''));
+  err.exitCode = exitCode;
+  err.signal = signal;
+  err.stderrTail = stderrTail;
+  return err;
+}
+
+/**
+ * Spawn the process, and start reading its logs.
+ * @param {LogReader~genericCallback} [cb] - Callback called once the process is ready, that is, once the ready log
+ *   has been found (if the 'ready' option has been given) or the LogWatcher is ready. It receives an error if
+ *   the process exits before being ready.
+ */
+ProcessLogReader.prototype.start = function start(cb) {
+  var self = this;
+  cb = cb || function() {};
+
+  self.stop();
+  self._stderrTail = '';
+  self._exitError = null;
+
+  var child = spawn(self.command, self.args, self.opts.spawn);
+  self.process = child;
+  self._streams.stdout = child.stdout;
+  self._streams.stderr = child.stderr;
+  child.stderr.on('data', function(chunk) {
+    // Keep the last lines (and the line being written, if any)
+    var lines = (self._stderrTail + chunk.toString()).split(/\r?\n/);
+    self._stderrTail = lines.slice(-self.opts.stderrTailLines - 1).join(os.EOL);
+  });
+  child.on('error', function(err) {
+    // The process could not be spawned (or killed)
+    if (self.process === child && !self._exitError) {
+      self._onExit(new Error('ProcessLogReader: ' + err.message));
+    }
+  });
+  child.on('close', function(exitCode, signal) {
+    // Every log written by the process has already been read, so the retained and partial logs are complete
+    if (self.process === child && !self._exitError) {
+      // Set before flushing, so waits failing because of a log that cannot be parsed report the exit instead
+      self._exitError = _getExitError(exitCode, signal, self._stderrTail.trim());
+      self.logWatcher.flush();
+      self._onExit(self._exitError);
+    }
+  });
+
+  LogReader.prototype.start.call(self, function(err) {
+    if (err || !self.opts.ready) {
+      return cb(err);
+    }
+    self.waitForLogToExist(self.opts.ready, {timeout: self.opts.readyTimeout}, function(readyErr) {
+      cb(readyErr);
+    });
+  });
+};
+
+/**
+ * Fail the pending waits once the process has exited.
+ * @param {Error} err - Error reporting how the process has exited.
+ * @private
+ */
+ProcessLogReader.prototype._onExit = function _onExit(err) {
+  this._exitError = err;
+  this._pendingWaits.slice().forEach(function(wait) {
+    wait._fail(err);
+  });
+};
+
+/**
+ * Start a wait (see LogReader._startWait), failing it if the process has already exited and the stored logs do not
+ * satisfy it, since no more logs will be received.
+ * @param {Object} wait
+ * @param {Object} opts
+ * @param {Function} cb
+ * @return {Object} The wait.
+ * @private
+ */
+ProcessLogReader.prototype._startWait = function _startWait(wait, opts, cb) {
+  LogReader.prototype._startWait.call(this, wait, opts, cb);
+  if (this._exitError && this._pendingWaits.indexOf(wait) !== -1) {
+    wait._fail(this._exitError);
+  }
+  return wait;
+};
+
+/**
+ * Build the error that makes waits fail because of the errors emitted by the LogWatcher, as the LogReader does,
+ * unless the process has exited: then, the error reporting the exit is returned instead.
+ * @param {Error[]} errors
+ * @return {Error}
+ * @private
+ */
+ProcessLogReader.prototype._getLogErrorsError = function _getLogErrorsError(errors) {
+  return this._exitError || LogReader.prototype._getLogErrorsError.call(this, errors);
+};
+
+/**
+ * Stop reading logs, killing the process if it is still running (with SIGKILL if it has not exited when the kill
+ * timeout expires). Pending waits are aborted, as the LogReader does.
+ * @param {LogReader~genericCallback} [cb] - Callback called once the LogWatcher is stopped and the process
+ *   has exited.
+ */
+ProcessLogReader.prototype.stop = function stop(cb) {
+  var child = this.process;
+  var pending = 2;
+
+  function _done() {
+    if (--pending === 0 && cb) {
+      cb(null);
+    }
+  }
+
+  LogReader.prototype.stop.call(this, _done);
+  if (child && !this._exitError && child.exitCode === null && child.signalCode === null) {
+    // The process is not a reason for the waits to fail from now on
+    this.process = null;
+    var killTimeoutId = setTimeout(function() {
+      child.kill('SIGKILL');
+    }, this.opts.killTimeout);
+    // Not waiting for the 'close' event, since the standard streams can be kept open by its child processes
+    child.once('exit', function() {
+      clearTimeout(killTimeoutId);
+      _done();
+    });
+    child.kill(this.opts.killSignal);
+  } else {
+    this.process = null;
+    _done();
+  }
+};
+
+module.exports = ProcessLogReader;
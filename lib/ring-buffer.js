@@ -0,0 +1,148 @@
+/*
+
+ Copyright 2016 Telefonica Investigación y Desarrollo, S.A.U
+
+ This file is part of Tartare.
+
+ Tartare is free software: you can redistribute it and/or modify it under the
+ terms of the Apache License as published by the Apache Software Foundation,
+ either version 2.0 of the License, or (at your option) any later version.
+ Tartare is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ See the Apache License for more details.
+
+ You should have received a copy of the Apache License along with Tartare.
+ If not, see http://www.apache.org/licenses/LICENSE-2.0
+
+ For those usages not covered by the Apache License please contact with:
+ joseantonio.rodriguezfernandez@telefonica.com
+
+ */
+
+'use strict';
+
+var INITIAL_CAPACITY = 64;
+
+/**
+ * This class is a ring buffer that retains the last items pushed to it, evicting the oldest ones according to
+ * a retention policy. Items are identified by their absolute index, that is, the number of items pushed before them,
+ * so indexes remain valid after evicting items.
+ *
+ * @param {Object} [opts] - Supported values:
+ *          - maxEntries: Maximum number of items (defaults to no maximum).
+ *          - maxAge: Maximum time (in ms) items are retained since they were pushed (defaults to no maximum).
+ *          - maxBytes: Maximum size of the retained items, as given when pushing them (defaults to no maximum).
+ *          - onEvict: Function called with each evicted item.
+ * @class
+ */
+var RingBuffer = function RingBuffer(opts) {
+  opts = opts || {};
+  this.maxEntries = opts.maxEntries || Infinity;
+  this.maxAge = opts.maxAge || Infinity;
+  this.maxBytes = opts.maxBytes || Infinity;
+  this._onEvict = opts.onEvict || null;
+  this.clear();
+};
+
+/**
+ * Remove every item, and reset the indexes.
+ */
+RingBuffer.prototype.clear = function clear() {
+  this._entries = new Array(Math.min(INITIAL_CAPACITY, this.maxEntries));
+  this._head = 0;  // Position in _entries of the oldest entry
+  this.length = 0;
+  this.start = 0;  // Absolute index of the oldest retained item
+  this.end = 0;  // Absolute index of the next item to be pushed
+  this.bytes = 0;
+};
+
+/**
+ * Push an item, evicting the oldest ones if the retention policy is exceeded.
+ * @param {*} item
+ * @param {number} [size] - Size of the item in bytes (only needed when there is a maximum size).
+ */
+RingBuffer.prototype.push = function push(item, size) {
+  if (this.length === this.maxEntries) {
+    this._evictOldest();
+  }
+  if (this.length === this._entries.length) {
+    this._grow();
+  }
+  this._entries[(this._head + this.length) % this._entries.length] = {item: item, time: Date.now(), size: size || 0};
+  this.length++;
+  this.end++;
+  this.bytes += size || 0;
+  while (this.bytes > this.maxBytes) {
+    this._evictOldest();
+  }
+  this.evictExpired();
+};
+
+/**
+ * Evict the items older than the maximum age.
+ */
+RingBuffer.prototype.evictExpired = function evictExpired() {
+  var minTime = Date.now() - this.maxAge;
+  while (this.length && this._entries[this._head].time < minTime) {
+    this._evictOldest();
+  }
+};
+
+/**
+ * Get the retained item with the given absolute index.
+ * @param {number} index
+ * @return {*} The item, or undefined if it is not retained.
+ */
+RingBuffer.prototype.get = function get(index) {
+  if (index < this.start || index >= this.end) {
+    return undefined;
+  }
+  return this._entries[(this._head + index - this.start) % this._entries.length].item;
+};
+
+/**
+ * Get the retained items whose absolute indexes are in a range.
+ * @param {number} [from] - First index (defaults to the oldest retained item).
+ * @param {number} [to] - Index after the last one (defaults to the index of the next item to be pushed).
+ * @return {Array}
+ */
+RingBuffer.prototype.toArray = function toArray(from, to) {
+  from = Math.max((from === undefined) ? this.start : from, this.start);
+  to = Math.min((to === undefined) ? this.end : to, this.end);
+  var items = [];
+  for (var i = from; i < to; i++) {
+    items.push(this.get(i));
+  }
+  return items;
+};
+
+/**
+ * Double the capacity of the buffer (up to the maximum number of items), keeping the order of the items.
+ * @private
+ */
+RingBuffer.prototype._grow = function _grow() {
+  var entries = new Array(Math.min(this._entries.length * 2, this.maxEntries));
+  for (var i = 0; i < this.length; i++) {
+    entries[i] = this._entries[(this._head + i) % this._entries.length];
+  }
+  this._entries = entries;
+  this._head = 0;
+};
+
+/**
+ * Evict the oldest item.
+ * @private
+ */
+RingBuffer.prototype._evictOldest = function _evictOldest() {
+  var entry = this._entries[this._head];
+  this._entries[this._head] = undefined;
+  this._head = (this._head + 1) % this._entries.length;
+  this.length--;
+  this.start++;
+  this.bytes -= entry.size;
+  if (this._onEvict) {
+    this._onEvict(entry.item);
+  }
+};
+
+module.exports = RingBuffer;
@@ -0,0 +1,206 @@
+/*
+
+ Copyright 2016 Telefonica Investigación y Desarrollo, S.A.U
+
+ This file is part of Tartare.
+
+ Tartare is free software: you can redistribute it and/or modify it under the
+ terms of the Apache License as published by the Apache Software Foundation,
+ either version 2.0 of the License, or (at your option) any later version.
+ Tartare is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ See the Apache License for more details.
+
+ You should have received a copy of the Apache License along with Tartare.
+ If not, see http://www.apache.org/licenses/LICENSE-2.0
+
+ For those usages not covered by the Apache License please contact with:
+ joseantonio.rodriguezfernandez@telefonica.com
+
+ */
+
+'use strict';
+
+/*
+ SYSLOG-PARSER: Parser for syslog messages, following either RFC 5424 or RFC 3164 (BSD syslog)
+ */
+
+var RFC5424_PATTERN = /^<(\d{1,3})>([1-9]\d{0,2}) (\S+) (\S+) (\S+) (\S+) (\S+) ([\s\S]*)$/;
+var RFC3164_PATTERN = /^<(\d{1,3})>([A-Z][a-z]{2} [ \d]\d \d{2}:\d{2}:\d{2}) ([\s\S]*)$/;
+var RFC3164_TAG_PATTERN = /^([^\s:\[\]]+)(?:\[([^\]]*)\])?: ?([\s\S]*)$/;
+var RFC3164_TAG_WORD_PATTERN = /^[^\s:\[\]]+(?:\[[^\]]*\])?:$/;
+var NILVALUE = '-';
+
+function _fail(logEntry, reason) {
+  var err = new Error('Log is not a syslog message');
+  err.logEntry = logEntry;
+  err.reason = reason;
+  throw err;
+}
+
+/**
+ * Set a field in the log, unless its value is the syslog NILVALUE.
+ * @param {Object} log
+ * @param {string} fieldName
+ * @param {string} value
+ */
+function _setField(log, fieldName, value) {
+  if (value !== undefined && value !== NILVALUE) {
+    log[fieldName] = value;
+  }
+}
+
+/**
+ * Parse the PRI part, adding the 'pri', 'facility' and 'severity' fields to the log.
+ * @param {Object} log
+ * @param {string} pri
+ * @param {string} logEntry
+ */
+function _parsePri(log, pri, logEntry) {
+  log.pri = parseInt(pri, 10);
+  if (log.pri > 191) {
+    _fail(logEntry, 'Invalid PRI value: ' + pri);
+  }
+  log.facility = log.pri >> 3;
+  log.severity = log.pri & 7;
+}
+
+/**
+ * Parse the STRUCTURED-DATA part of a RFC 5424 message, followed by the MSG part.
+ * @param {string} str - STRUCTURED-DATA and MSG parts.
+ * @param {string} logEntry
+ * @return {Object} An object with the structured data ('structuredData'), whose keys are the SD-IDs and whose
+ *   values are objects with the SD-PARAMs, and the message ('msg').
+ */
+function _parseStructuredData(str, logEntry) {
+  var structuredData = null;
+  var pos = 0;
+
+  if (str.charAt(0) === NILVALUE) {
+    pos = 1;
+  } else {
+    structuredData = {};
+    while (str.charAt(pos) === '[') {
+      var sdIdMatch = str.slice(pos + 1).match(/^[^\s\]="]+/);
+      if (!sdIdMatch) {
+        _fail(logEntry, 'Invalid SD-ID in structured data');
+      }
+      var params = structuredData[sdIdMatch[0]] = {};
+      pos += 1 + sdIdMatch[0].length;
+      while (str.charAt(pos) === ' ') {
+        var paramMatch = str.slice(pos + 1).match(/^([^\s\]="]+)="/);
+        if (!paramMatch) {
+          _fail(logEntry, 'Invalid SD-PARAM in structured data');
+        }
+        pos += 1 + paramMatch[0].length;
+        var value = '';
+        while (str.charAt(pos) !== '"') {
+          if (pos >= str.length) {
+            _fail(logEntry, 'Unterminated SD-PARAM value in structured data');
+          }
+          if (str.charAt(pos) === '\\' && /["\\\]]/.test(str.charAt(pos + 1))) {
+            pos++;
+          }
+          value += str.charAt(pos++);
+        }
+        params[paramMatch[1]] = value;
+        pos++;  // Skip the closing quote
+      }
+      if (str.charAt(pos) !== ']') {
+        _fail(logEntry, 'Unterminated structured data element');
+      }
+      pos++;
+    }
+    if (pos === 0) {
+      _fail(logEntry, 'Invalid structured data');
+    }
+  }
+
+  if (pos < str.length && str.charAt(pos) !== ' ') {
+    _fail(logEntry, 'Unexpected characters after structured data');
+  }
+  return {
+    structuredData: structuredData,
+    // Remove the BOM that may precede an UTF-8 message
+    msg: (pos < str.length) ? str.slice(pos + 1).replace(/^\uFEFF/, '') : undefined
+  };
+}
+
+/**
+ * Parse a RFC 5424 syslog message.
+ * @param {string[]} match - Result of matching the message against RFC5424_PATTERN.
+ * @param {string} logEntry
+ * @return {Object}
+ */
+function _parseRfc5424(match, logEntry) {
+  var log = {};
+  _parsePri(log, match[1], logEntry);
+  log.version = parseInt(match[2], 10);
+  _setField(log, 'timestamp', match[3]);
+  _setField(log, 'hostname', match[4]);
+  _setField(log, 'appName', match[5]);
+  _setField(log, 'procId', match[6]);
+  _setField(log, 'msgId', match[7]);
+  var rest = _parseStructuredData(match[8], logEntry);
+  if (rest.structuredData) {
+    log.structuredData = rest.structuredData;
+  }
+  _setField(log, 'msg', rest.msg);
+  return log;
+}
+
+/**
+ * Parse a RFC 3164 (BSD) syslog message. As many senders omit the HOSTNAME part, it is only considered to be
+ * present when the first word after the timestamp is not a TAG (that is, it is not followed by a colon).
+ * @param {string[]} match - Result of matching the message against RFC3164_PATTERN.
+ * @param {string} logEntry
+ * @return {Object}
+ */
+function _parseRfc3164(match, logEntry) {
+  var log = {};
+  _parsePri(log, match[1], logEntry);
+  log.timestamp = match[2];
+  var rest = match[3];
+
+  // The first word is the HOSTNAME, unless it is the TAG
+  var firstWord = rest.split(' ')[0];
+  if (!RFC3164_TAG_WORD_PATTERN.test(firstWord)) {
+    log.hostname = firstWord;
+    rest = rest.slice(firstWord.length + 1);
+  }
+
+  var tagMatch = rest.match(RFC3164_TAG_PATTERN);
+  if (tagMatch) {
+    log.appName = tagMatch[1];
+    _setField(log, 'procId', tagMatch[2]);
+    log.msg = tagMatch[3];
+  } else {
+    log.msg = rest;
+  }
+  return log;
+}
+
+/**
+ * Parse a syslog message, following either RFC 5424 or RFC 3164.
+ * The returned object can include the following fields, as long as they have a value: 'pri', 'facility' and
+ * 'severity' (as numbers), 'version' (only RFC 5424, as a number), 'timestamp', 'hostname', 'appName', 'procId',
+ * 'msgId' (only RFC 5424), 'structuredData' (only RFC 5424, as an object whose keys are the SD-IDs and whose
+ * values are objects with the SD-PARAMs) and 'msg'.
+ * @param {string} logEntry
+ * @return {Object}
+ */
+var parse = function parse(logEntry) {
+  var match = logEntry.match(RFC5424_PATTERN);
+  if (match) {
+    return _parseRfc5424(match, logEntry);
+  }
+  match = logEntry.match(RFC3164_PATTERN);
+  if (match) {
+    return _parseRfc3164(match, logEntry);
+  }
+  _fail(logEntry, 'It follows neither RFC 5424 nor RFC 3164');
+};
+
+module.exports = {
+  parse: parse
+};
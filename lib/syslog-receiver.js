@@ -0,0 +1,196 @@
+/*
+
+ Copyright 2016 Telefonica Investigación y Desarrollo, S.A.U
+
+ This file is part of Tartare.
+
+ Tartare is free software: you can redistribute it and/or modify it under the
+ terms of the Apache License as published by the Apache Software Foundation,
+ either version 2.0 of the License, or (at your option) any later version.
+ Tartare is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ See the Apache License for more details.
+
+ You should have received a copy of the Apache License along with Tartare.
+ If not, see http://www.apache.org/licenses/LICENSE-2.0
+
+ For those usages not covered by the Apache License please contact with:
+ joseantonio.rodriguezfernandez@telefonica.com
+
+ */
+
+'use strict';
+
+var util = require('util');
+var dgram = require('dgram');
+var net = require('net');
+var PassThrough = require('stream').PassThrough;
+
+/**
+ * This class is a local syslog server that receives syslog messages through UDP or TCP, and writes them to itself
+ * (it is an object mode stream), one message per chunk, so it can be used as the source of a LogWatcher. Messages
+ * are not split into lines, since they can include line breaks (as octet-counted TCP frames or UDP datagrams).
+ * TCP connections support both octet-counting and LF-delimited framing (RFC 6587).
+ * It emits a 'listening' event when the server is ready to receive messages, and 'error' events when
+ * the server fails.
+ *
+ * @param {Object} opts - Supported values:
+ *          - port: Port where the server will listen to (defaults to 514). Use 0 to get a random free port.
+ *          - protocol: Either 'udp' (default) or 'tcp'.
+ *          - address: Address where the server will listen to (defaults to '0.0.0.0').
+ * @class
+ */
+var SyslogReceiver = function SyslogReceiver(opts) {
+  PassThrough.call(this, {objectMode: true});
+
+  this.opts = opts || {};
+  this.opts.port = (this.opts.port === undefined) ? 514 : this.opts.port;
+  this.opts.protocol = this.opts.protocol || 'udp';
+  this.opts.address = this.opts.address || '0.0.0.0';
+  if (this.opts.protocol !== 'udp' && this.opts.protocol !== 'tcp') {
+    throw new Error('SyslogReceiver: Non supported protocol');
+  }
+
+  this._server = null;
+  this._sockets = [];
+};
+util.inherits(SyslogReceiver, PassThrough);
+
+/**
+ * Start listening to syslog messages. If it is already listening, it does nothing.
+ */
+SyslogReceiver.prototype.listen = function listen() {
+  var self = this;
+
+  if (self._server) {
+    return;
+  }
+
+  function _onListening() {
+    self.emit('listening', self.address());
+  }
+
+  function _onError(err) {
+    self.emit('error', err);
+  }
+
+  if (self.opts.protocol === 'udp') {
+    self._server = dgram.createSocket(net.isIPv6(self.opts.address) ? 'udp6' : 'udp4');
+    self._server.on('message', function(message) {
+      self._writeMessage(message.toString());
+    });
+    self._server.on('listening', _onListening);
+    self._server.on('error', _onError);
+    self._server.bind(self.opts.port, self.opts.address);
+  } else {
+    self._server = net.createServer(function(socket) {
+      self._sockets.push(socket);
+      self._readFramedMessages(socket);
+      socket.on('close', function() {
+        self._sockets.splice(self._sockets.indexOf(socket), 1);
+      });
+    });
+    self._server.on('listening', _onListening);
+    self._server.on('error', _onError);
+    self._server.listen(self.opts.port, self.opts.address);
+  }
+};
+
+/**
+ * Read the messages sent through a TCP connection, using either octet-counting framing (each message is preceded
+ * by its length and a space) or non-transparent framing (each message ends with a LF).
+ * @param {net.Socket} socket
+ * @private
+ */
+SyslogReceiver.prototype._readFramedMessages = function _readFramedMessages(socket) {
+  var self = this;
+  var buffer = new Buffer(0);
+
+  socket.on('data', function(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length) {
+      var message;
+      var octetCountingMatch = buffer.slice(0, 12).toString('ascii').match(/^([1-9]\d*) /);
+      if (octetCountingMatch) {
+        var start = octetCountingMatch[0].length;
+        var end = start + parseInt(octetCountingMatch[1], 10);
+        if (buffer.length < end) {
+          break;  // Wait for the rest of the message
+        }
+        message = buffer.slice(start, end);
+        buffer = buffer.slice(end);
+      } else {
+        var lfIndex = Array.prototype.indexOf.call(buffer, 0x0A);
+        if (lfIndex === -1) {
+          break;  // Wait for the rest of the message
+        }
+        message = buffer.slice(0, lfIndex);
+        buffer = buffer.slice(lfIndex + 1);
+      }
+      self._writeMessage(message.toString());
+    }
+  });
+
+  socket.on('end', function() {
+    // The last message could have been sent without a trailing LF
+    self._writeMessage(buffer.toString());
+    buffer = new Buffer(0);
+  });
+
+  socket.on('error', function(err) {
+    self.emit('error', err);
+  });
+};
+
+/**
+ * Write a received message to the stream, as a single chunk.
+ * @param {string} message
+ * @private
+ */
+SyslogReceiver.prototype._writeMessage = function _writeMessage(message) {
+  message = message.replace(/[\r\n\u0000]+$/, '');
+  if (message !== '') {
+    this.write(message);
+  }
+};
+
+/**
+ * Get the address where the server is listening to, or null if it is not listening.
+ * @return {?Object} An object with the 'address', 'family' and 'port' properties.
+ */
+SyslogReceiver.prototype.address = function address() {
+  try {
+    return this._server ? this._server.address() : null;
+  } catch (err) {
+    return null;  // UDP sockets throw an error if they are not bound yet
+  }
+};
+
+/**
+ * @callback SyslogReceiver~closeCallback
+ */
+
+/**
+ * Stop listening to syslog messages.
+ * @param {SyslogReceiver~closeCallback} [cb] - Callback called once the server is closed.
+ */
+SyslogReceiver.prototype.close = function close(cb) {
+  cb = cb || function() {};
+  if (!this._server) {
+    return process.nextTick(cb);
+  }
+  this._sockets.forEach(function(socket) {
+    socket.destroy();
+  });
+  this._sockets = [];
+  try {
+    this._server.close(function() {
+      cb();  // Errors are ignored (such as closing a server that was not listening yet)
+    });
+  } catch (err) {
+    process.nextTick(cb);  // UDP sockets throw an error if they are not running
+  }
+  this._server = null;
+};
+
+module.exports = SyslogReceiver;
@@ -0,0 +1,159 @@
+/*
+
+ Copyright 2016 Telefonica Investigación y Desarrollo, S.A.U
+
+ This file is part of Tartare.
+
+ Tartare is free software: you can redistribute it and/or modify it under the
+ terms of the Apache License as published by the Apache Software Foundation,
+ either version 2.0 of the License, or (at your option) any later version.
+ Tartare is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY;
+ without even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ See the Apache License for more details.
+
+ You should have received a copy of the Apache License along with Tartare.
+ If not, see http://www.apache.org/licenses/LICENSE-2.0
+
+ For those usages not covered by the Apache License please contact with:
+ joseantonio.rodriguezfernandez@telefonica.com
+
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+/*
+ TEST-HOOKS: Hooks for Mocha (or Tartare) that start LogReaders before each test and stop them afterwards, dumping
+ the captured logs when the test fails
+ */
+
+/**
+ * Create a directory, and its parent directories if they do not exist.
+ * @param {string} dir
+ */
+function _mkdirp(dir) {
+  try {
+    fs.mkdirSync(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      _mkdirp(path.dirname(dir));
+      fs.mkdirSync(dir);
+    } else if (err.code !== 'EEXIST') {
+      throw err;
+    }
+  }
+}
+
+/**
+ * Get the test (or scenario) a hook is running for, from its context.
+ * @param {Object} context - The 'this' object of the hook.
+ * @return {?Object}
+ */
+function _getCurrentTest(context) {
+  return (context && context.currentTest) || null;
+}
+
+/**
+ * Get the default name of the file where the logs of a LogReader are dumped: the full title of the test (replacing
+ * the characters that are not safe in file names) followed by the name of the LogReader and the extension of
+ * the format.
+ * @param {?Object} test - Test (or scenario) that has failed.
+ * @param {string} name - Name of the LogReader.
+ * @param {string} format - Format of the dump.
+ * @return {string}
+ */
+function _getDefaultFileName(test, name, format) {
+  var title = 'test';
+  if (test) {
+    title = (test.fullTitle instanceof Function) ? test.fullTitle() : String(test.title);
+  }
+  return title.replace(/[^\w.-]+/g, '_') + '.' + name + '.' + format;
+}
+
+/**
+ * Register hooks that start some LogReaders before each test, and stop them after each test, dumping their logs
+ * and parse errors (see LogReader.dump) when the test has failed. The logs are dumped once the LogReaders are
+ * stopped, so they include the logs flushed when stopping. The paths of the dumps are added to the 'logDumps'
+ * property of the failed test, so reporters can attach them to the test report.
+ * @param {(LogReader|Object)} logReaders - A LogReader, or an object whose values are LogReaders (given by name).
+ * @param {Object} [opts] - Supported values:
+ *          - dir (defaults to 'logs'): Directory where the dumps are written (it is created if it does not exist).
+ *          - format (defaults to 'html'): Format of the dumps, 'jsonl', 'text' or 'html'.
+ *          - fileName: Function that returns the name of the file where the logs of a LogReader are dumped. It
+ *              receives the failed test, the name of the LogReader ('logs' if a single LogReader has been given) and
+ *              the format of the dump. By default, it is the full title of the test followed by the name of
+ *              the LogReader and the format (such as 'Login_should_fail.logs.html').
+ *          - beforeEach, afterEach: Functions that register the hooks (Mocha's global beforeEach and afterEach by
+ *              default). To start and stop the LogReaders around each Tartare scenario, instead of each step, give
+ *              the functions that register hooks run before and after each scenario.
+ *          - isFailed: Function that receives the context of the hook (its 'this' object) and returns whether
+ *              the test has failed (by default, whether the state of its currentTest property is 'failed').
+ *          - getTest: Function that receives the context of the hook and returns the test, to build the file names
+ *              and to add the paths of the dumps (by default, its currentTest property).
+ */
+var register = function register(logReaders, opts) {
+  opts = opts || {};
+  if (logReaders && logReaders.dump instanceof Function) {
+    logReaders = {logs: logReaders};
+  }
+  var dir = opts.dir || 'logs';
+  var format = opts.format || 'html';
+  var fileName = opts.fileName || _getDefaultFileName;
+  var beforeEachFn = opts.beforeEach || global.beforeEach;
+  var afterEachFn = opts.afterEach || global.afterEach;
+  var getTest = opts.getTest || _getCurrentTest;
+  var isFailed = opts.isFailed || function(context) {
+    var test = getTest(context);
+    return Boolean(test) && test.state === 'failed';
+  };
+  if (!(beforeEachFn instanceof Function) || !(afterEachFn instanceof Function)) {
+    throw new Error('No functions to register hooks have been found (are the tests running on Mocha?)');
+  }
+  var names = Object.keys(logReaders);
+
+  beforeEachFn(function startLogReaders() {
+    return Promise.all(names.map(function(name) {
+      return logReaders[name].startAsync();
+    }));
+  });
+
+  afterEachFn(function stopLogReaders() {
+    var context = this;
+
+    // The LogReaders are stopped before dumping their logs, since the logs left are stored when stopping
+    function _dumpLogs() {
+      var test = getTest(context);
+      if (!isFailed(context)) {
+        return;
+      }
+      _mkdirp(dir);
+      var files = names.map(function(name) {
+        var file = path.join(dir, fileName(test, name, format));
+        logReaders[name].dump(file, {format: format});
+        return file;
+      });
+      if (test) {
+        test.logDumps = (test.logDumps || []).concat(files);
+      }
+    }
+
+    // Every LogReader is stopped (and its logs dumped) even if another one fails to stop
+    var stopErr = null;
+    return Promise.all(names.map(function(name) {
+      return logReaders[name].stopAsync().catch(function(err) {
+        stopErr = stopErr || err;
+      });
+    })).then(function() {
+      _dumpLogs();
+      if (stopErr) {
+        throw stopErr;
+      }
+    });
+  });
+};
+
+module.exports = {
+  register: register
+};